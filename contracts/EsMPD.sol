@@ -3,6 +3,7 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
 
 /**
  * @title EsMPD (Escrowed MPD)
@@ -11,14 +12,28 @@ import "@openzeppelin/contracts/access/Ownable.sol";
  * 
  * @dev esMPD serves as a reward mechanism with the following properties:
  *      - Awarded to users who stake MPD or provide liquidity
- *      - Cannot be freely transferred between addresses
+ *      - Cannot be freely transferred between addresses; only owner-approved
+ *        handlers (e.g. reward trackers, RewardRouter) can move balances
  *      - Can be staked to earn the same rewards as regular MPD
  *      - Will be vestable into MPD via a separate vesting contract
  * 
  *      This design prevents immediate sell pressure while still rewarding
  *      long-term protocol participants.
+ *
+ *      Each minter can be given a rolling window cap (e.g. per day) and a lifetime
+ *      allowance, bounding the damage a compromised minter key can do. Mints are
+ *      recorded in sub-window buckets and every bucket that overlaps the last
+ *      window counts, so no span of one window length ever sees more than the
+ *      cap minted. A cap of zero means that limit is not enforced for the minter.
  */
 contract EsMPD is ERC20, Ownable {
+    using SafeCast for uint256;
+
+    // ============ Constants ============
+
+    /// @notice Number of buckets a mint window is divided into
+    /// @dev Capacity frees up one bucket at a time, up to one bucket after a full window
+    uint256 public constant MINT_WINDOW_BUCKETS = 24;
 
     // ============ State Variables ============
 
@@ -28,6 +43,43 @@ contract EsMPD is ERC20, Ownable {
      */
     mapping(address => bool) public isMinter;
 
+    /**
+     * @notice Tracks contracts allowed to move esMPD between accounts
+     * @dev Handlers will typically be staking trackers and the RewardRouter.
+     *      Handlers can call transferFrom without an allowance.
+     */
+    mapping(address => bool) public isHandler;
+
+    /**
+     * @notice Mint rate limit configuration and usage for a minter
+     * @param windowCap Maximum esMPD mintable within any rolling window (0 = no window limit)
+     * @param windowDuration Length of the rolling window in seconds
+     * @param lifetimeCap Maximum esMPD mintable over the minter's lifetime (0 = no lifetime limit)
+     * @param lifetimeMinted Total amount minted by the minter
+     */
+    struct MintLimit {
+        uint256 windowCap;
+        uint256 windowDuration;
+        uint256 lifetimeCap;
+        uint256 lifetimeMinted;
+    }
+
+    /**
+     * @notice esMPD minted by a minter during one sub-window bucket
+     * @param index Bucket number (timestamp divided by the bucket length)
+     * @param amount Amount minted in the bucket
+     */
+    struct MintBucket {
+        uint64 index;
+        uint192 amount;
+    }
+
+    /// @notice Mint rate limits and usage per minter
+    mapping(address => MintLimit) public mintLimits;
+
+    /// @notice Ring of the most recent mint buckets per minter, slot = index % (MINT_WINDOW_BUCKETS + 1)
+    mapping(address => MintBucket[MINT_WINDOW_BUCKETS + 1]) internal _mintBuckets;
+
     // ============ Events ============
 
     /**
@@ -37,6 +89,27 @@ contract EsMPD is ERC20, Ownable {
      */
     event MinterSet(address indexed minter, bool isActive);
 
+    /**
+     * @notice Emitted when a handler's authorization status changes
+     * @param handler The address whose handler status changed
+     * @param isActive Whether the address is now authorized to move esMPD
+     */
+    event HandlerSet(address indexed handler, bool isActive);
+
+    /**
+     * @notice Emitted when a minter's rate limits are updated
+     * @param minter The minter whose limits changed
+     * @param windowCap The maximum amount mintable per window
+     * @param windowDuration The window length in seconds
+     * @param lifetimeCap The maximum amount mintable over the minter's lifetime
+     */
+    event MintLimitsSet(
+        address indexed minter,
+        uint256 windowCap,
+        uint256 windowDuration,
+        uint256 lifetimeCap
+    );
+
     /**
      * @notice Emitted when new esMPD tokens are minted
      * @param to The address receiving the minted tokens
@@ -56,7 +129,7 @@ contract EsMPD is ERC20, Ownable {
     /// @notice Thrown when a non-minter attempts to mint or burn
     error NotAuthorizedMinter();
 
-    /// @notice Thrown when attempting to transfer esMPD (transfers are disabled)
+    /// @notice Thrown when a non-handler attempts to transfer esMPD (transfers are disabled)
     error TransfersDisabled();
 
     /// @notice Thrown when minting/burning to/from zero address
@@ -65,6 +138,15 @@ contract EsMPD is ERC20, Ownable {
     /// @notice Thrown when amount is zero
     error ZeroAmount();
 
+    /// @notice Thrown when a window cap is set without a window duration
+    error InvalidMintLimits();
+
+    /// @notice Thrown when a mint exceeds the minter's remaining window capacity
+    error MintWindowLimitExceeded(uint256 requested, uint256 available);
+
+    /// @notice Thrown when a mint exceeds the minter's remaining lifetime allowance
+    error LifetimeMintLimitExceeded(uint256 requested, uint256 available);
+
     // ============ Modifiers ============
 
     /**
@@ -102,17 +184,63 @@ contract EsMPD is ERC20, Ownable {
         emit MinterSet(minter, isActive);
     }
 
+    /**
+     * @notice Sets or revokes handler authorization for an address
+     * @dev Only callable by contract owner
+     * @param handler The address to update handler status for
+     * @param isActive True to authorize, false to revoke
+     */
+    function setHandler(address handler, bool isActive) external onlyOwner {
+        if (handler == address(0)) revert ZeroAddress();
+
+        isHandler[handler] = isActive;
+
+        emit HandlerSet(handler, isActive);
+    }
+
+    /**
+     * @notice Configures the mint rate limits for a minter
+     * @dev Only callable by contract owner. Changing the caps does not reset the
+     *      minter's window or lifetime usage; changing the window duration changes
+     *      the bucket length, so the recorded window usage is cleared.
+     * @param minter The minter to configure
+     * @param windowCap Maximum amount mintable per window (0 disables the window limit)
+     * @param windowDuration Window length in seconds (required when windowCap is set)
+     * @param lifetimeCap Maximum amount mintable in total (0 disables the lifetime limit)
+     */
+    function setMintLimits(
+        address minter,
+        uint256 windowCap,
+        uint256 windowDuration,
+        uint256 lifetimeCap
+    ) external onlyOwner {
+        if (minter == address(0)) revert ZeroAddress();
+        if (windowCap > 0 && windowDuration == 0) revert InvalidMintLimits();
+
+        MintLimit storage limit = mintLimits[minter];
+        if (windowDuration != limit.windowDuration) {
+            delete _mintBuckets[minter];
+        }
+        limit.windowCap = windowCap;
+        limit.windowDuration = windowDuration;
+        limit.lifetimeCap = lifetimeCap;
+
+        emit MintLimitsSet(minter, windowCap, windowDuration, lifetimeCap);
+    }
+
     // ============ Minter Functions ============
 
     /**
      * @notice Mints new esMPD tokens to a specified address
-     * @dev Only callable by authorized minters (e.g., staking contracts)
+     * @dev Only callable by authorized minters (e.g., staking contracts), within their rate limits
      * @param to The address to receive the minted tokens
      * @param amount The amount of tokens to mint
      */
     function mint(address to, uint256 amount) external onlyMinter {
         if (to == address(0)) revert ZeroAddress();
         if (amount == 0) revert ZeroAmount();
+
+        _consumeMintLimit(msg.sender, amount);
         
         _mint(to, amount);
         
@@ -134,10 +262,140 @@ contract EsMPD is ERC20, Ownable {
         emit TokensBurned(from, amount);
     }
 
+    // ============ Handler Functions ============
+
+    /**
+     * @notice Moves esMPD between accounts
+     * @dev Handlers skip the allowance check; for anyone else the transfer is
+     *      rejected by `_update` after the allowance is spent
+     * @param from The address to move tokens from
+     * @param to The address to move tokens to
+     * @param value The amount of tokens to move
+     * @return True on success
+     */
+    function transferFrom(
+        address from,
+        address to,
+        uint256 value
+    ) public virtual override returns (bool) {
+        if (isHandler[msg.sender]) {
+            _transfer(from, to, value);
+            return true;
+        }
+
+        return super.transferFrom(from, to, value);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Get the amount a minter can still mint in the rolling window
+     * @param minter The minter to check
+     * @return The remaining window capacity (max uint256 if no window limit)
+     */
+    function remainingWindowMint(address minter) public view returns (uint256) {
+        MintLimit storage limit = mintLimits[minter];
+
+        if (limit.windowCap == 0) return type(uint256).max;
+
+        uint256 used = _windowUsage(minter, _currentBucket(limit));
+        return limit.windowCap > used ? limit.windowCap - used : 0;
+    }
+
+    /**
+     * @notice Get the amount a minter can still mint over its lifetime
+     * @param minter The minter to check
+     * @return The remaining lifetime allowance (max uint256 if no lifetime limit)
+     */
+    function remainingLifetimeMint(address minter) public view returns (uint256) {
+        MintLimit storage limit = mintLimits[minter];
+
+        if (limit.lifetimeCap == 0) return type(uint256).max;
+
+        return limit.lifetimeCap > limit.lifetimeMinted ? limit.lifetimeCap - limit.lifetimeMinted : 0;
+    }
+
+    /**
+     * @notice Get the amount a minter can mint right now, considering all limits
+     * @param minter The minter to check
+     * @return The lower of the remaining window and lifetime capacity
+     */
+    function remainingMintCapacity(address minter) external view returns (uint256) {
+        uint256 window = remainingWindowMint(minter);
+        uint256 lifetime = remainingLifetimeMint(minter);
+
+        return window < lifetime ? window : lifetime;
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @notice Checks a mint against the minter's limits and records the usage
+     * @dev Adds the mint to the current bucket, replacing whatever expired bucket held its slot
+     * @param minter The minter performing the mint
+     * @param amount The amount being minted
+     */
+    function _consumeMintLimit(address minter, uint256 amount) internal {
+        MintLimit storage limit = mintLimits[minter];
+
+        if (limit.windowCap > 0) {
+            uint256 current = _currentBucket(limit);
+            uint256 used = _windowUsage(minter, current);
+            uint256 windowAvailable = limit.windowCap > used ? limit.windowCap - used : 0;
+            if (amount > windowAvailable) revert MintWindowLimitExceeded(amount, windowAvailable);
+
+            MintBucket storage bucket = _mintBuckets[minter][current % (MINT_WINDOW_BUCKETS + 1)];
+            if (bucket.index != current) {
+                bucket.index = current.toUint64();
+                bucket.amount = 0;
+            }
+            bucket.amount = (bucket.amount + amount).toUint192();
+        }
+
+        if (limit.lifetimeCap > 0) {
+            uint256 lifetimeAvailable = remainingLifetimeMint(minter);
+            if (amount > lifetimeAvailable) revert LifetimeMintLimitExceeded(amount, lifetimeAvailable);
+        }
+
+        limit.lifetimeMinted += amount;
+    }
+
+    /**
+     * @notice Gets the bucket the current block falls into
+     * @dev Buckets are windowDuration / MINT_WINDOW_BUCKETS long, rounded up, so
+     *      MINT_WINDOW_BUCKETS of them always span at least a full window
+     * @param limit The minter's rate limit record
+     * @return The current bucket index
+     */
+    function _currentBucket(MintLimit storage limit) internal view returns (uint256) {
+        uint256 bucketLength = (limit.windowDuration + MINT_WINDOW_BUCKETS - 1) / MINT_WINDOW_BUCKETS;
+
+        return block.timestamp / bucketLength;
+    }
+
+    /**
+     * @notice Sums a minter's mints in every bucket that overlaps the last window
+     * @dev Counts the current bucket and the MINT_WINDOW_BUCKETS before it; the
+     *      oldest may be only partly inside the window but is counted in full
+     * @param minter The minter to check
+     * @param current The current bucket index
+     * @return used The amount minted within the rolling window
+     */
+    function _windowUsage(address minter, uint256 current) internal view returns (uint256 used) {
+        MintBucket[MINT_WINDOW_BUCKETS + 1] storage buckets = _mintBuckets[minter];
+
+        for (uint256 i = 0; i <= MINT_WINDOW_BUCKETS; i++) {
+            MintBucket storage bucket = buckets[i];
+            if (bucket.index + MINT_WINDOW_BUCKETS >= current) {
+                used += bucket.amount;
+            }
+        }
+    }
+
     // ============ Internal Overrides ============
 
     /**
-     * @notice Blocks all token transfers except minting and burning
+     * @notice Blocks all token transfers except minting, burning and handler moves
      * @dev Overrides the ERC20 _update function to enforce non-transferability
      * @param from Source address (zero address for minting)
      * @param to Destination address (zero address for burning)
@@ -150,8 +408,9 @@ contract EsMPD is ERC20, Ownable {
     ) internal virtual override {
         // Allow minting (from == address(0))
         // Allow burning (to == address(0))
+        // Allow transfers initiated by handlers
         // Block all other transfers
-        if (from != address(0) && to != address(0)) {
+        if (from != address(0) && to != address(0) && !isHandler[msg.sender]) {
             revert TransfersDisabled();
         }
         
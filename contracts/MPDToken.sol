@@ -2,19 +2,62 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
 /**
  * @title MPDToken
  * @author MPD DEX Team
  * @notice MPD is the governance and utility token for the MPD DEX protocol.
- * @dev ERC20 token with minting controlled by owner. 
- *      Ownership will be transferred to governance once the system is deployed.
+ * @dev ERC20 token with minting restricted to owner-authorized minters.
+ *      The owner only administers the minter set and cannot mint unless it
+ *      authorizes itself. Ownership will be transferred to governance once
+ *      the system is deployed.
+ *
+ *      Voting power is tracked through ERC20Votes checkpoints (block number clock).
+ *      Holders must delegate (to themselves or another address) before their
+ *      balance counts towards `getVotes`/`getPastVotes`.
+ *
+ *      Total supply can never exceed the immutable `maxSupply` set at deployment.
+ *      Holders can burn their own MPD (or MPD they are approved to spend); burned
+ *      amounts are tracked in `totalBurned` and free up headroom under the cap.
+ *
+ *      Supports EIP-2612 `permit`, so approvals can be granted with an off-chain
+ *      signature instead of a separate approve transaction.
  */
-contract MPDToken is ERC20, Ownable {
-    
+contract MPDToken is ERC20, ERC20Permit, ERC20Votes, Ownable {
+
+    // ============ State Variables ============
+
+    /// @notice Hard cap on total MPD supply, fixed at deployment
+    uint256 public immutable maxSupply;
+
+    /**
+     * @notice Tracks addresses authorized to mint MPD
+     * @dev Minters will typically be the Vester, reward distributors, treasury or bridges
+     */
+    mapping(address => bool) public isMinter;
+
+    /**
+     * @notice Cumulative MPD minted by each minter
+     * @dev Never decreases, so emitters can be audited against their allocation
+     */
+    mapping(address => uint256) public mintedBy;
+
+    /// @notice Running total of MPD burned through `burn` and `burnFrom`
+    uint256 public totalBurned;
+
     // ============ Events ============
 
+    /**
+     * @notice Emitted when a minter's authorization status changes
+     * @param minter The address whose minter status changed
+     * @param isActive Whether the address is now authorized to mint
+     */
+    event MinterSet(address indexed minter, bool isActive);
+
     /**
      * @notice Emitted when new tokens are minted
      * @param to The address receiving the minted tokens
@@ -22,32 +65,150 @@ contract MPDToken is ERC20, Ownable {
      */
     event TokensMinted(address indexed to, uint256 amount);
 
+    /**
+     * @notice Emitted when tokens are burned
+     * @param from The address whose tokens were burned
+     * @param burner The address that initiated the burn (holder or approved spender)
+     * @param amount The amount of tokens burned
+     */
+    event TokensBurned(address indexed from, address indexed burner, uint256 amount);
+
+    // ============ Modifiers ============
+
+    /**
+     * @notice Restricts function access to authorized minters only
+     */
+    modifier onlyMinter() {
+        require(isMinter[msg.sender], "MPDToken: caller is not a minter");
+        _;
+    }
+
     // ============ Constructor ============
 
     /**
      * @notice Initializes the MPD Token contract
-     * @param initialOwner The address that will own this contract and control minting
+     * @param initialOwner The address that will own this contract and manage minters
+     * @param supplyCap The maximum total supply of MPD (in wei, 18 decimals)
      */
-    constructor(address initialOwner) 
+    constructor(address initialOwner, uint256 supplyCap) 
         ERC20("MPD Token", "MPD") 
+        ERC20Permit("MPD Token")
         Ownable(initialOwner) 
-    {}
+    {
+        require(supplyCap > 0, "MPDToken: max supply must be greater than zero");
+        require(supplyCap <= _maxSupply(), "MPDToken: max supply exceeds votes limit");
+
+        maxSupply = supplyCap;
+    }
+
+    // ============ Owner Functions ============
 
-    // ============ External Functions ============
+    /**
+     * @notice Sets or revokes minter authorization for an address
+     * @dev Only callable by contract owner
+     * @param minter The address to update minter status for
+     * @param isActive True to authorize, false to revoke
+     */
+    function setMinter(address minter, bool isActive) external onlyOwner {
+        require(minter != address(0), "MPDToken: minter is zero address");
+
+        isMinter[minter] = isActive;
+
+        emit MinterSet(minter, isActive);
+    }
+
+    // ============ Minter Functions ============
 
     /**
      * @notice Mints new MPD tokens to a specified address
-     * @dev Only callable by the contract owner
+     * @dev Only callable by authorized minters (e.g., the Vester). Reverts if the
+     *      mint would push total supply above `maxSupply`.
      * @param to The address to receive the minted tokens
      * @param amount The amount of tokens to mint (in wei, 18 decimals)
      */
-    function mint(address to, uint256 amount) external onlyOwner {
+    function mint(address to, uint256 amount) external onlyMinter {
         require(to != address(0), "MPDToken: mint to zero address");
         require(amount > 0, "MPDToken: mint amount must be greater than zero");
-        
+        require(totalSupply() + amount <= maxSupply, "MPDToken: max supply exceeded");
+
+        mintedBy[msg.sender] += amount;
+
         _mint(to, amount);
         
         emit TokensMinted(to, amount);
     }
-}
 
+    // ============ Holder Functions ============
+
+    /**
+     * @notice Burns MPD tokens from the caller's balance
+     * @param amount The amount of tokens to burn (in wei, 18 decimals)
+     */
+    function burn(uint256 amount) external {
+        _burnAndRecord(msg.sender, amount);
+    }
+
+    /**
+     * @notice Burns MPD tokens from an address using the caller's allowance
+     * @dev Consumes `amount` of the allowance granted by `from` to the caller
+     * @param from The address whose tokens will be burned
+     * @param amount The amount of tokens to burn (in wei, 18 decimals)
+     */
+    function burnFrom(address from, uint256 amount) external {
+        _spendAllowance(from, msg.sender, amount);
+        _burnAndRecord(from, amount);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Get the amount of MPD that can still be minted before reaching the cap
+     * @return The remaining headroom below `maxSupply`
+     */
+    function remainingMintable() external view returns (uint256) {
+        return maxSupply - totalSupply();
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @notice Burns tokens and updates the burned supply counter
+     * @param from The address whose tokens will be burned
+     * @param amount The amount of tokens to burn
+     */
+    function _burnAndRecord(address from, uint256 amount) internal {
+        require(amount > 0, "MPDToken: burn amount must be greater than zero");
+
+        _burn(from, amount);
+        totalBurned += amount;
+
+        emit TokensBurned(from, msg.sender, amount);
+    }
+
+    // ============ Internal Overrides ============
+
+    /**
+     * @notice Moves voting power alongside token balances
+     * @dev Required override to combine ERC20 and ERC20Votes
+     * @param from Source address (zero address for minting)
+     * @param to Destination address (zero address for burning)
+     * @param value Amount of tokens
+     */
+    function _update(
+        address from,
+        address to,
+        uint256 value
+    ) internal virtual override(ERC20, ERC20Votes) {
+        super._update(from, to, value);
+    }
+
+    /**
+     * @notice Returns the current permit/delegation nonce for an address
+     * @dev Required override since both ERC20Permit and Votes share the Nonces counter
+     * @param owner The address to query
+     * @return The next nonce to be used in a signature by `owner`
+     */
+    function nonces(address owner) public view virtual override(ERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(owner);
+    }
+}
@@ -5,6 +5,11 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
 
 // ============ Interfaces ============
 
@@ -23,22 +28,173 @@ interface IEsMPD {
     function burn(address from, uint256 amount) external;
 }
 
+/**
+ * @notice Interface for the ERC-721 receipts of NFT-mode positions
+ */
+interface IVestingPositionNFT {
+    function mint(address to) external returns (uint256 tokenId);
+    function burn(uint256 tokenId) external;
+    function nextTokenId() external view returns (uint256);
+    function ownerOf(uint256 tokenId) external view returns (address);
+}
+
+/**
+ * @notice Interface for a reward tracker reporting cumulative esMPD rewards
+ */
+interface IRewardTracker {
+    function cumulativeRewards(address account) external view returns (uint256);
+}
+
 /**
  * @title Vester
  * @author MPD DEX Team
  * @notice Vesting contract that converts esMPD to MPD over a fixed duration.
  * 
- * @dev Users deposit esMPD and linearly vest it into MPD over the vesting duration.
+ * @dev Users deposit esMPD and vest it into MPD over the vesting duration along
+ *      the configured release curve (linear by default).
+ *      - Each deposit is its own tranche with its own start time and duration,
+ *        so later top-ups never inherit an earlier deposit's progress
+ *      - An optional cliff holds back all vesting until it passes, after which
+ *        the tranche catches up to its release curve
+ *      - The release curve (linear, monthly steps, front- or back-loaded) is
+ *        chosen per Vester and snapshotted per tranche
+ *      - Claim and withdraw aggregate across all of a user's tranches
+ *      - Optionally (GMX pair-token model) each deposit also locks a configured
+ *        ratio of a pair token, such as staked MPD; the reserve is released
+ *        pro-rata as MPD is claimed and in full on withdraw
+ *      - Once a position NFT is configured, users can opt in to depositing into
+ *        an NFT position instead: a single tranche keyed by token id whose claim
+ *        and withdraw rights follow the NFT holder
+ *      - Optionally each user can only vest up to maxVestableAmount: their
+ *        cumulative rewards from a reward tracker plus an owner-set bonus, so
+ *        esMPD obtained through other channels cannot be vested or instantly
+ *        redeemed without limit
+ *      - Launch throttles: a global deposit cap, a per-user deposit cap, an
+ *        optional allowlist phase and a pause, all of which also gate instant
+ *        redemption (the MPD it mints counts against both caps); claim and
+ *        withdraw always stay available
+ *      - Users can approve operators (e.g. a hot keeper wallet) to claimFor and
+ *        depositFor them, directly or via an EIP-712 signed approval; MPD and
+ *        positions always stay with the user, never the operator
+ *      - Relayers can submit a user's EIP-712 signed deposit, claim or withdraw
+ *        (per-user nonces, deadlines, EIP-1271 wallets), so users need no ETH
+ *      - Governance can migrate to a successor Vester behind a timelock: once
+ *        executed, deposits and instant redemption stop, any token ownership held by this Vester is
+ *        handed back to governance, and users can port their positions (with
+ *        every tranche's schedule intact) into the successor
+ *      - Global totals (deposited, claimed, forfeited, outstanding liability and
+ *        active positions) are maintained on every state change for auditing
  *      - esMPD is held by this contract during vesting
  *      - MPD is minted to users as it vests
- *      - Users can withdraw unvested esMPD at any time (forfeiting pending rewards)
+ *      - Users can withdraw some or all unvested esMPD at any time; claimable MPD
+ *        is paid out first so nothing vested is forfeited
+ *      - Users can migrate their esMPD balance and vesting position to a fresh
+ *        address via a two-step signal/accept transfer
+ *      - Users can skip vesting and redeem esMPD for MPD instantly at a penalty;
+ *        the penalty esMPD is forfeited rather than converted into MPD
+ *      - Forfeited esMPD is routed to the treasury (the penalty recipient) and
+ *        optionally a rewards distributor for stakers, at a governance-set split,
+ *        and tracked cumulatively
  * 
  *      This contract requires:
  *      - Minter role on MPDToken to mint vested MPD
  *      - Minter role on EsMPD to burn vested esMPD
+ *      - Handler role on EsMPD to move esMPD during account transfers
  */
-contract Vester is Ownable, ReentrancyGuard {
+contract Vester is Ownable, ReentrancyGuard, Pausable, EIP712, Nonces {
     using SafeERC20 for IERC20;
+    using SafeCast for uint256;
+
+    // ============ Constants ============
+
+    /// @notice Denominator for basis point values (100% = 10,000)
+    uint256 public constant BASIS_POINTS = 10_000;
+
+    /// @notice Lowest instant redemption penalty the owner can set (10%)
+    uint256 public constant MIN_INSTANT_REDEEM_PENALTY_BPS = 1_000;
+
+    /// @notice Maximum number of live (not fully claimed) tranches per user
+    uint256 public constant MAX_TRANCHES = 100;
+
+    /// @notice Delay between proposing and executing a migration
+    uint256 public constant MIGRATION_DELAY = 2 days;
+
+    /// @notice EIP-712 typehash for signed operator approvals
+    bytes32 public constant OPERATOR_APPROVAL_TYPEHASH = keccak256(
+        "OperatorApproval(address user,address operator,bool approved,uint256 nonce,uint256 deadline)"
+    );
+
+    /// @notice EIP-712 typehash for signed deposits
+    bytes32 public constant DEPOSIT_TYPEHASH = keccak256(
+        "Deposit(address user,uint256 amount,uint256 nonce,uint256 deadline)"
+    );
+
+    /// @notice EIP-712 typehash for signed claims
+    bytes32 public constant CLAIM_TYPEHASH = keccak256(
+        "Claim(address user,uint256 nonce,uint256 deadline)"
+    );
+
+    /// @notice EIP-712 typehash for signed withdrawals
+    bytes32 public constant WITHDRAW_TYPEHASH = keccak256(
+        "Withdraw(address user,uint256 amount,uint256 nonce,uint256 deadline)"
+    );
+
+    /// @notice Length of one unlock step for the MonthlyStep curve
+    uint256 public constant STEP_INTERVAL = 30 days;
+
+    // ============ Enums ============
+
+    /**
+     * @notice Release curves a tranche can vest along
+     * @dev Linear:      amount * t / d
+     *      MonthlyStep: linear, but only released in whole STEP_INTERVAL steps
+     *      FrontLoaded: amount * (1 - (1 - t/d)^2), faster early on
+     *      BackLoaded:  amount * (t/d)^2, faster towards the end
+     */
+    enum VestingCurve {
+        Linear,
+        MonthlyStep,
+        FrontLoaded,
+        BackLoaded
+    }
+
+    // ============ Structs ============
+
+    /**
+     * @notice A single deposit vesting on its own schedule
+     * @dev Packed into two slots: amounts and the start/duration fill the first,
+     *      cliff and curve sit in the second, so vesting math reads both slots per
+     *      tranche. uint96 covers ~79B tokens at 18 decimals; uint32 timestamps
+     *      last until 2106
+     * @param amount The esMPD deposited in this tranche
+     * @param claimed The MPD already claimed from this tranche
+     * @param startTime Timestamp at which this tranche started vesting
+     * @param duration Vesting duration of this tranche in seconds
+     * @param cliff Seconds after startTime before anything vests
+     * @param curve Release curve of this tranche
+     */
+    struct Tranche {
+        uint96 amount;
+        uint96 claimed;
+        uint32 startTime;
+        uint32 duration;
+        uint32 cliff;
+        VestingCurve curve;
+    }
+
+    /**
+     * @notice A user's aggregate vesting position, packed into a single slot
+     * @param deposited Total esMPD deposited
+     * @param claimed Total MPD already claimed
+     * @param lastClaimTime Timestamp of the last claim (or first deposit if never claimed)
+     * @param startTime Timestamp of the first deposit (start of vesting)
+     */
+    struct Account {
+        uint96 deposited;
+        uint96 claimed;
+        uint32 lastClaimTime;
+        uint32 startTime;
+    }
 
     // ============ State Variables ============
 
@@ -48,20 +204,134 @@ contract Vester is Ownable, ReentrancyGuard {
     /// @notice The escrowed MPD token (deposit token)
     IERC20 public immutable esMpd;
 
-    /// @notice Duration over which esMPD vests into MPD (default: 365 days)
+    /// @notice Duration over which newly deposited esMPD vests into MPD (default: 365 days)
+    /// @dev Snapshotted into each tranche at deposit time; changes never touch live tranches
     uint256 public vestingDuration;
 
-    /// @notice Total esMPD deposited by each user
-    mapping(address => uint256) public depositedAmount;
+    /// @notice Cliff applied to newly deposited esMPD (0 = no cliff)
+    /// @dev Snapshotted into each tranche at deposit time; never exceeds vestingDuration
+    uint256 public cliffDuration;
+
+    /// @notice Release curve applied to newly deposited esMPD
+    /// @dev Snapshotted into each tranche at deposit time
+    VestingCurve public vestingCurve;
+
+    /// @notice Aggregate vesting position of each user
+    /// @dev Read through depositedAmount, claimedAmount, lastClaimTime and vestingStartTime
+    mapping(address => Account) internal _accounts;
+
+    /// @notice Live vesting tranches of each user (fully claimed tranches are pruned)
+    mapping(address => Tranche[]) internal _tranches;
+
+    /// @notice Receiver each account has signalled to migrate to
+    mapping(address => address) public pendingReceivers;
+
+    /// @notice Share of esMPD withheld on instant redemption, in basis points
+    uint256 public instantRedeemPenaltyBps;
+
+    /// @notice Treasury receiving forfeited esMPD (zero disables instant redemption)
+    address public penaltyRecipient;
+
+    /// @notice Rewards distributor receiving the stakers' share of forfeits (zero = all to treasury)
+    address public rewardsDistributor;
+
+    /// @notice Share of forfeited esMPD sent to the rewards distributor, in basis points
+    uint256 public stakerForfeitShareBps;
+
+    /// @notice Cumulative esMPD forfeited across all users
+    uint256 public totalForfeited;
+
+    /// @notice Cumulative forfeited esMPD sent to the treasury
+    uint256 public forfeitedToTreasury;
+
+    /// @notice Cumulative forfeited esMPD sent to the rewards distributor
+    uint256 public forfeitedToStakers;
+
+    /// @notice Token reserved alongside deposits (zero disables the reserve requirement)
+    IERC20 public pairToken;
+
+    /// @notice Pair tokens required per esMPD deposited, in basis points
+    uint256 public pairRatioBps;
+
+    /// @notice Pair tokens currently reserved for each user
+    mapping(address => uint256) public pairReserves;
+
+    /// @notice Pair tokens currently reserved across all users
+    uint256 public totalPairReserved;
+
+    /// @notice Whether deposits are capped at maxVestableAmount
+    bool public maxVestableCapEnabled;
+
+    /// @notice Reward tracker whose cumulative rewards count towards the cap (zero = none)
+    IRewardTracker public rewardTracker;
+
+    /// @notice Owner-granted allowance added to each user's cap
+    mapping(address => uint256) public bonusRewards;
+
+    /// @notice Tracker rewards inherited through account transfers, added to the cap
+    mapping(address => uint256) public transferredCumulativeRewards;
+
+    /// @notice Tracker rewards handed on through account transfers, deducted from the cap
+    mapping(address => uint256) public cumulativeRewardDeductions;
+
+    /// @notice esMPD each user has committed to vesting (deposits minus esMPD withdrawn back),
+    ///         plus the MPD they minted by instant redemption
+    /// @dev Survives closing a position, so claimed MPD keeps counting against the cap.
+    ///      NFT positions count against their depositor permanently, since the
+    ///      esMPD may be withdrawn by a later holder
+    mapping(address => uint256) public cumulativeVested;
+
+    /// @notice esMPD deposited across all users, net of esMPD withdrawn back
+    uint256 public totalDeposited;
+
+    /// @notice MPD minted to vesting positions (user accounts and NFTs) as it vests
+    uint256 public totalClaimed;
+
+    /// @notice MPD minted immediately by instant redemption
+    uint256 public totalInstantRedeemed;
+
+    /// @notice esMPD still vesting, i.e. MPD the Vester has yet to mint for open positions
+    /// @dev Without migrations, totalDeposited == totalClaimed + outstandingLiability
+    uint256 public outstandingLiability;
+
+    /// @notice User accounts and NFT positions with esMPD still vesting
+    uint256 public activePositions;
+
+    /// @notice Maximum totalDeposited plus totalInstantRedeemed (0 = unlimited)
+    uint256 public globalDepositCap;
+
+    /// @notice Maximum esMPD each user may commit to vesting, measured by cumulativeVested (0 = unlimited)
+    uint256 public userDepositCap;
+
+    /// @notice Whether only allowlisted addresses may deposit or instantly redeem
+    bool public allowlistEnabled;
+
+    /// @notice Addresses allowed to deposit or instantly redeem while the allowlist is enabled
+    mapping(address => bool) public isAllowlisted;
+
+    /// @notice Operators each user has approved to claim and deposit on their behalf
+    mapping(address => mapping(address => bool)) public isOperator;
+
+    /// @notice Successor proposed by governance, awaiting the timelock
+    address public pendingSuccessor;
 
-    /// @notice Total MPD already claimed by each user
-    mapping(address => uint256) public claimedAmount;
+    /// @notice Timestamp from which the pending migration can be executed
+    uint256 public migrationReadyAt;
 
-    /// @notice Timestamp of user's last claim (or deposit if never claimed)
-    mapping(address => uint256) public lastClaimTime;
+    /// @notice Vester that positions can be ported to (set once a migration executes)
+    address public successor;
 
-    /// @notice Timestamp when user first deposited (start of vesting)
-    mapping(address => uint256) public vestingStartTime;
+    /// @notice Vester allowed to port positions into this one
+    address public predecessor;
+
+    /// @notice ERC-721 receipts for NFT-mode positions (zero = NFT mode disabled)
+    IVestingPositionNFT public positionNft;
+
+    /// @notice Vesting tranche behind each position NFT
+    mapping(uint256 => Tranche) internal _positions;
+
+    /// @notice Pair tokens reserved for each position NFT
+    mapping(uint256 => uint256) public positionPairReserves;
 
     // ============ Events ============
 
@@ -83,10 +353,18 @@ contract Vester is Ownable, ReentrancyGuard {
      * @notice Emitted when a user withdraws unvested esMPD
      * @param user The withdrawer's address
      * @param amount The amount of esMPD returned
-     * @param forfeitedMPD The amount of vested MPD forfeited
+     * @param forfeitedMPD The amount of vested MPD forfeited (always 0: vested MPD is paid out first)
      */
     event Withdrawn(address indexed user, uint256 amount, uint256 forfeitedMPD);
 
+    /**
+     * @notice Emitted alongside Withdrawn when the position stays open
+     * @param user The withdrawer's address
+     * @param amount The amount of esMPD returned
+     * @param remainingUnvested The unvested esMPD left vesting afterwards
+     */
+    event PartialWithdrawn(address indexed user, uint256 amount, uint256 remainingUnvested);
+
     /**
      * @notice Emitted when the vesting duration is updated
      * @param oldDuration The previous vesting duration
@@ -94,6 +372,253 @@ contract Vester is Ownable, ReentrancyGuard {
      */
     event VestingDurationUpdated(uint256 oldDuration, uint256 newDuration);
 
+    /**
+     * @notice Emitted when the cliff duration is updated
+     * @param oldCliff The previous cliff duration
+     * @param newCliff The new cliff duration
+     */
+    event CliffDurationUpdated(uint256 oldCliff, uint256 newCliff);
+
+    /**
+     * @notice Emitted when the release curve is updated
+     * @param oldCurve The previous release curve
+     * @param newCurve The new release curve
+     */
+    event VestingCurveUpdated(VestingCurve oldCurve, VestingCurve newCurve);
+
+    /**
+     * @notice Emitted when a user signals a transfer of their account to a new address
+     * @param sender The account being migrated
+     * @param receiver The address that must accept the transfer
+     */
+    event TransferSignalled(address indexed sender, address indexed receiver);
+
+    /**
+     * @notice Emitted when a receiver accepts an account transfer
+     * @param sender The account that was migrated
+     * @param receiver The address that now owns the esMPD balance and vesting position
+     * @param esMpdAmount The esMPD balance moved to the receiver
+     * @param depositedAmount The vesting position size moved to the receiver
+     */
+    event TransferAccepted(
+        address indexed sender,
+        address indexed receiver,
+        uint256 esMpdAmount,
+        uint256 depositedAmount
+    );
+
+    /**
+     * @notice Emitted when a user instantly redeems esMPD for MPD
+     * @param user The redeemer's address
+     * @param esMpdAmount The total esMPD redeemed
+     * @param mpdAmount The MPD minted to the user
+     * @param penaltyAmount The esMPD forfeited (see ForfeitRouted for the split)
+     * @param recipient The treasury at the time of redemption
+     */
+    event InstantRedeemed(
+        address indexed user,
+        uint256 esMpdAmount,
+        uint256 mpdAmount,
+        uint256 penaltyAmount,
+        address indexed recipient
+    );
+
+    /**
+     * @notice Emitted when the instant redemption penalty is updated
+     * @param oldPenaltyBps The previous penalty in basis points
+     * @param newPenaltyBps The new penalty in basis points
+     */
+    event InstantRedeemPenaltyUpdated(uint256 oldPenaltyBps, uint256 newPenaltyBps);
+
+    /**
+     * @notice Emitted when the penalty recipient is updated
+     * @param oldRecipient The previous penalty recipient
+     * @param newRecipient The new penalty recipient
+     */
+    event PenaltyRecipientUpdated(address oldRecipient, address newRecipient);
+
+    /**
+     * @notice Emitted when forfeited esMPD is routed to its sinks
+     * @param user The user whose esMPD was forfeited
+     * @param treasuryAmount The esMPD sent to the treasury
+     * @param stakerAmount The esMPD sent to the rewards distributor
+     */
+    event ForfeitRouted(address indexed user, uint256 treasuryAmount, uint256 stakerAmount);
+
+    /**
+     * @notice Emitted when the rewards distributor is updated
+     * @param oldDistributor The previous rewards distributor
+     * @param newDistributor The new rewards distributor
+     */
+    event RewardsDistributorUpdated(address oldDistributor, address newDistributor);
+
+    /**
+     * @notice Emitted when the stakers' share of forfeits is updated
+     * @param oldShareBps The previous share in basis points
+     * @param newShareBps The new share in basis points
+     */
+    event ForfeitSplitUpdated(uint256 oldShareBps, uint256 newShareBps);
+
+    /**
+     * @notice Emitted when the pair token is updated
+     * @param oldToken The previous pair token
+     * @param newToken The new pair token
+     */
+    event PairTokenUpdated(address oldToken, address newToken);
+
+    /**
+     * @notice Emitted when the pair reserve ratio is updated
+     * @param oldRatioBps The previous ratio in basis points
+     * @param newRatioBps The new ratio in basis points
+     */
+    event PairRatioUpdated(uint256 oldRatioBps, uint256 newRatioBps);
+
+    /**
+     * @notice Emitted when pair tokens are locked for a deposit
+     * @param user The depositor's address
+     * @param amount The amount of pair tokens reserved
+     */
+    event PairReserved(address indexed user, uint256 amount);
+
+    /**
+     * @notice Emitted when reserved pair tokens are returned to a user
+     * @param user The user's address
+     * @param amount The amount of pair tokens released
+     */
+    event PairReleased(address indexed user, uint256 amount);
+
+    /**
+     * @notice Emitted when the max vestable cap is enabled or disabled
+     * @param enabled Whether deposits are now capped
+     */
+    event MaxVestableCapSet(bool enabled);
+
+    /**
+     * @notice Emitted when the reward tracker is updated
+     * @param oldTracker The previous reward tracker
+     * @param newTracker The new reward tracker
+     */
+    event RewardTrackerUpdated(address oldTracker, address newTracker);
+
+    /**
+     * @notice Emitted when a user's bonus reward allowance is set
+     * @param user The user's address
+     * @param amount The new bonus amount
+     */
+    event BonusRewardSet(address indexed user, uint256 amount);
+
+    /**
+     * @notice Emitted when the global deposit cap is updated
+     * @param oldCap The previous cap
+     * @param newCap The new cap
+     */
+    event GlobalDepositCapUpdated(uint256 oldCap, uint256 newCap);
+
+    /**
+     * @notice Emitted when the per-user deposit cap is updated
+     * @param oldCap The previous cap
+     * @param newCap The new cap
+     */
+    event UserDepositCapUpdated(uint256 oldCap, uint256 newCap);
+
+    /**
+     * @notice Emitted when the allowlist phase is enabled or disabled
+     * @param enabled Whether only allowlisted addresses may deposit
+     */
+    event AllowlistEnabledSet(bool enabled);
+
+    /**
+     * @notice Emitted when an address is added to or removed from the allowlist
+     * @param user The address updated
+     * @param allowed Whether the address may deposit
+     */
+    event AllowlistSet(address indexed user, bool allowed);
+
+    /**
+     * @notice Emitted when a user approves or revokes an operator
+     * @param user The user granting or revoking
+     * @param operator The operator
+     * @param approved Whether the operator may act for the user
+     */
+    event OperatorSet(address indexed user, address indexed operator, bool approved);
+
+    /**
+     * @notice Emitted when governance proposes a migration
+     * @param successor The proposed successor Vester
+     * @param readyAt Timestamp from which the migration can be executed
+     */
+    event MigrationProposed(address indexed successor, uint256 readyAt);
+
+    /**
+     * @notice Emitted when a pending migration is cancelled
+     * @param successor The successor that was proposed
+     */
+    event MigrationCancelled(address indexed successor);
+
+    /**
+     * @notice Emitted when a migration is executed
+     * @param successor The successor Vester
+     */
+    event MigrationExecuted(address indexed successor);
+
+    /**
+     * @notice Emitted when ownership of a token held by the Vester is handed on
+     * @param token The token contract
+     * @param newOwner The new owner
+     */
+    event TokenOwnershipHandedOff(address indexed token, address indexed newOwner);
+
+    /**
+     * @notice Emitted when the predecessor Vester is set
+     * @param predecessor The Vester allowed to port positions in
+     */
+    event PredecessorSet(address predecessor);
+
+    /**
+     * @notice Emitted when a user ports their position to the successor
+     * @param user The user's address
+     * @param successor The successor Vester
+     * @param depositedAmount The deposited amount moved
+     */
+    event PositionMigrated(address indexed user, address indexed successor, uint256 depositedAmount);
+
+    /**
+     * @notice Emitted when a position is ported in from the predecessor
+     * @param user The user's address
+     * @param depositedAmount The deposited amount received
+     */
+    event PositionImported(address indexed user, uint256 depositedAmount);
+
+    /**
+     * @notice Emitted when the position NFT is configured
+     * @param positionNft The position NFT contract
+     */
+    event PositionNftSet(address positionNft);
+
+    /**
+     * @notice Emitted when esMPD is deposited into a new NFT position
+     * @param tokenId The position token id
+     * @param holder The depositor and initial holder
+     * @param amount The amount of esMPD deposited
+     */
+    event PositionOpened(uint256 indexed tokenId, address indexed holder, uint256 amount);
+
+    /**
+     * @notice Emitted when vested MPD is claimed from an NFT position
+     * @param tokenId The position token id
+     * @param holder The holder the MPD was paid to
+     * @param amount The amount of MPD claimed
+     */
+    event PositionClaimed(uint256 indexed tokenId, address indexed holder, uint256 amount);
+
+    /**
+     * @notice Emitted when an NFT position is closed and its unvested esMPD returned
+     * @param tokenId The position token id
+     * @param holder The holder the esMPD was returned to
+     * @param amount The amount of esMPD returned
+     */
+    event PositionWithdrawn(uint256 indexed tokenId, address indexed holder, uint256 amount);
+
     // ============ Errors ============
 
     /// @notice Thrown when deposit amount is zero
@@ -108,6 +633,124 @@ contract Vester is Ownable, ReentrancyGuard {
     /// @notice Thrown when vesting duration is invalid
     error InvalidVestingDuration();
 
+    /// @notice Thrown when the cliff is longer than the vesting duration
+    error InvalidCliffDuration();
+
+    /// @notice Thrown when a transfer receiver is zero, the sender, or already has a balance or position
+    error InvalidReceiver();
+
+    /// @notice Thrown when accepting a transfer that the sender has not signalled to the caller
+    error TransferNotSignalled();
+
+    /// @notice Thrown when instant redemption is used before a penalty and recipient are set
+    error InstantRedeemDisabled();
+
+    /// @notice Thrown when the instant redemption penalty is zero or 100% or more
+    error InvalidPenalty();
+
+    /// @notice Thrown when the stakers' share of forfeits exceeds 100%
+    error InvalidForfeitShare();
+
+    /// @notice Thrown when an address parameter is zero
+    error ZeroAddress();
+
+    /// @notice Thrown when a deposit would exceed the maximum number of live tranches
+    error TooManyTranches();
+
+    /// @notice Thrown when a tranche index is out of range
+    error InvalidTrancheIndex();
+
+    /**
+     * @notice Thrown when a partial withdrawal exceeds the unvested balance
+     * @param requested The amount requested
+     * @param available The unvested amount available
+     */
+    error InsufficientUnvested(uint256 requested, uint256 available);
+
+    /// @notice Thrown when changing the pair token while reserves are still locked
+    error PairTokenInUse();
+
+    /**
+     * @notice Thrown when a deposit or instant redemption would exceed the user's max vestable amount
+     * @param requested The amount requested
+     * @param available The amount the user can still vest
+     */
+    error MaxVestableAmountExceeded(uint256 requested, uint256 available);
+
+    /**
+     * @notice Thrown when a deposit would exceed the global deposit cap
+     * @param requested The amount requested
+     * @param available The capacity left under the cap
+     */
+    error GlobalDepositCapExceeded(uint256 requested, uint256 available);
+
+    /**
+     * @notice Thrown when a deposit would exceed the per-user deposit cap
+     * @param requested The amount requested
+     * @param available The capacity left for the user
+     */
+    error UserDepositCapExceeded(uint256 requested, uint256 available);
+
+    /// @notice Thrown when a non-allowlisted address deposits or redeems during the allowlist phase
+    error NotAllowlisted();
+
+    /// @notice Thrown when the caller is not an approved operator of the user
+    error NotOperator();
+
+    /// @notice Thrown when a user tries to make themselves their own operator
+    error InvalidOperator();
+
+    /**
+     * @notice Thrown when a signature is used after its deadline
+     * @param deadline The signature's deadline
+     */
+    error ExpiredSignature(uint256 deadline);
+
+    /// @notice Thrown when a signature does not match the expected signer
+    error InvalidSignature();
+
+    /// @notice Thrown when proposing the zero address or this Vester as its own successor
+    error InvalidSuccessor();
+
+    /// @notice Thrown when executing or cancelling without a pending migration
+    error NoPendingMigration();
+
+    /**
+     * @notice Thrown when executing a migration before its timelock has passed
+     * @param readyAt Timestamp from which the migration can be executed
+     */
+    error MigrationNotReady(uint256 readyAt);
+
+    /// @notice Thrown when depositing, instantly redeeming or proposing after a migration has executed
+    error AlreadyMigrated();
+
+    /// @notice Thrown when porting a position before a migration has executed
+    error NotMigrated();
+
+    /// @notice Thrown when a caller other than the predecessor imports a position
+    error NotPredecessor();
+
+    /// @notice Thrown when the predecessor has already been set
+    error PredecessorAlreadySet();
+
+    /// @notice Thrown when importing a position for a user who already has one
+    error PositionAlreadyExists();
+
+    /// @notice Thrown when an imported pair reserve does not match this Vester's pair token
+    error PairTokenMismatch();
+
+    /// @notice Thrown when opening an NFT position before a position NFT is configured
+    error PositionsDisabled();
+
+    /// @notice Thrown when the position NFT has already been configured
+    error PositionNftAlreadySet();
+
+    /// @notice Thrown when the caller does not hold the position NFT
+    error NotPositionOwner();
+
+    /// @notice Thrown when a position NFT id does not refer to an open position
+    error InvalidPosition();
+
     // ============ Constructor ============
 
     /**
@@ -122,8 +765,8 @@ contract Vester is Ownable, ReentrancyGuard {
         address _esMpd,
         uint256 _vestingDuration,
         address _owner
-    ) Ownable(_owner) {
-        if (_vestingDuration == 0) revert InvalidVestingDuration();
+    ) Ownable(_owner) EIP712("MPD Vester", "1") {
+        if (_vestingDuration == 0 || _vestingDuration > type(uint32).max) revert InvalidVestingDuration();
         
         mpd = IERC20(_mpd);
         esMpd = IERC20(_esMpd);
@@ -134,89 +777,568 @@ contract Vester is Ownable, ReentrancyGuard {
 
     /**
      * @notice Deposit esMPD to begin vesting into MPD
-     * @dev esMPD is burned from user (since esMPD is non-transferable) and tracked for vesting
+     * @dev esMPD is burned from user (since esMPD is non-transferable) and tracked
+     *      as a new tranche that vests over the current vesting duration
+     * @param amount The amount of esMPD to deposit
+     */
+    function deposit(uint256 amount) external nonReentrant whenNotPaused {
+        _deposit(msg.sender, amount);
+    }
+
+    /**
+     * @notice Deposit a user's esMPD into their own vesting position as their operator
+     * @dev esMPD (and any pair reserve) is taken from the user, never the operator,
+     *      and the position belongs to the user
+     * @param user The user to deposit for
      * @param amount The amount of esMPD to deposit
      */
-    function deposit(uint256 amount) external nonReentrant {
+    function depositFor(address user, uint256 amount) external nonReentrant whenNotPaused {
+        _checkOperator(user);
+
+        _deposit(user, amount);
+    }
+
+    /**
+     * @notice Deposit esMPD into a new transferable NFT position
+     * @dev The position vests like a single tranche; whoever holds the NFT can claim
+     *      and withdraw it. Counts against the depositor's max vestable amount. The
+     *      position is recorded before the NFT is minted, so a receiving contract can
+     *      already read its schedule and metadata in onERC721Received
+     * @param amount The amount of esMPD to deposit
+     * @return tokenId The id of the minted position NFT
+     */
+    function depositPosition(uint256 amount) external nonReentrant whenNotPaused returns (uint256 tokenId) {
         if (amount == 0) revert ZeroAmount();
+        if (address(positionNft) == address(0)) revert PositionsDisabled();
 
-        // If user has existing position, claim pending rewards first
-        if (depositedAmount[msg.sender] > 0) {
-            _claim(msg.sender);
-        }
+        uint256 reserve = _takeDeposit(msg.sender, amount);
 
-        // Burn esMPD from user (esMPD is non-transferable, so we burn instead of transfer)
-        IEsMPD(address(esMpd)).burn(msg.sender, amount);
+        tokenId = positionNft.nextTokenId();
+        _positions[tokenId] = _newTranche(amount);
+        positionPairReserves[tokenId] = reserve;
+        activePositions++;
 
-        // Update user's vesting position
-        if (depositedAmount[msg.sender] == 0) {
-            // First deposit: set vesting start time
-            vestingStartTime[msg.sender] = block.timestamp;
-            lastClaimTime[msg.sender] = block.timestamp;
-        }
-        
-        depositedAmount[msg.sender] += amount;
+        positionNft.mint(msg.sender);
 
-        emit Deposited(msg.sender, amount);
+        emit PositionOpened(tokenId, msg.sender, amount);
     }
 
     /**
-     * @notice Claim vested MPD tokens
-     * @dev Calculates vested amount based on time elapsed and mints MPD to user
+     * @notice Claim vested MPD from a position NFT
+     * @dev MPD is always paid to the current holder
+     * @param tokenId The position token id
      */
-    function claim() external nonReentrant {
-        if (depositedAmount[msg.sender] == 0) revert NoVestingPosition();
-        
-        _claim(msg.sender);
+    function claimPosition(uint256 tokenId) external nonReentrant {
+        _checkPositionOwner(tokenId);
+
+        if (_settlePosition(tokenId, msg.sender) == 0) revert NothingToClaim();
     }
 
     /**
-     * @notice Withdraw unvested esMPD and exit vesting
-     * @dev Mints back unvested esMPD to user (since esMPD was burned on deposit) and forfeits unclaimed vested amount
+     * @notice Close a position NFT, returning its unvested esMPD
+     * @dev Pays out any claimable MPD first, releases the whole pair reserve and burns the NFT
+     * @param tokenId The position token id
      */
-    function withdraw() external nonReentrant {
-        if (depositedAmount[msg.sender] == 0) revert NoVestingPosition();
+    function withdrawPosition(uint256 tokenId) external nonReentrant {
+        _checkPositionOwner(tokenId);
 
-        uint256 deposited = depositedAmount[msg.sender];
-        uint256 claimed = claimedAmount[msg.sender];
-        
-        // Calculate total vested amount (what they could have claimed by now)
-        uint256 totalVested = _calculateVestedAmount(msg.sender);
-        
-        // Calculate unvested amount (what they get back)
-        uint256 unvested = deposited > totalVested ? deposited - totalVested : 0;
-        
-        // Calculate forfeited amount (vested but not yet claimed)
-        uint256 forfeited = totalVested > claimed ? totalVested - claimed : 0;
+        _settlePosition(tokenId, msg.sender);
 
-        // Reset user's vesting state
-        depositedAmount[msg.sender] = 0;
-        claimedAmount[msg.sender] = 0;
-        lastClaimTime[msg.sender] = 0;
-        vestingStartTime[msg.sender] = 0;
+        Tranche storage position = _positions[tokenId];
+        uint256 unvested = position.amount - position.claimed;
+
+        positionPairReserves[tokenId] -= _payPairReserve(
+            msg.sender,
+            positionPairReserves[tokenId],
+            unvested,
+            unvested
+        );
+
+        delete _positions[tokenId];
+        positionNft.burn(tokenId);
+
+        // Returned esMPD frees global capacity (the depositor's cap stays used)
+        totalDeposited -= unvested;
+        outstandingLiability -= unvested;
+        if (unvested > 0) activePositions--;
 
-        // Mint back unvested esMPD to user (esMPD was burned on deposit, so we mint it back)
         if (unvested > 0) {
             IEsMPD(address(esMpd)).mint(msg.sender, unvested);
         }
 
-        emit Withdrawn(msg.sender, unvested, forfeited);
+        emit PositionWithdrawn(tokenId, msg.sender, unvested);
     }
 
-    // ============ View Functions ============
-
     /**
-     * @notice Calculate the amount of MPD claimable by a user right now
-     * @param user The address to check
-     * @return The amount of MPD that can be claimed
-     */
-    function claimable(address user) external view returns (uint256) {
-        if (depositedAmount[user] == 0) return 0;
-        
-        uint256 totalVested = _calculateVestedAmount(user);
-        uint256 claimed = claimedAmount[user];
+     * @notice Claim vested MPD tokens
+     * @dev Calculates vested amount based on time elapsed and mints MPD to user
+     */
+    function claim() external nonReentrant {
+        if (_accounts[msg.sender].deposited == 0) revert NoVestingPosition();
         
-        return totalVested > claimed ? totalVested - claimed : 0;
+        _claim(msg.sender);
+    }
+
+    /**
+     * @notice Claim vested MPD for a user as their operator
+     * @dev MPD is always minted to the user, never the operator
+     * @param user The user to claim for
+     */
+    function claimFor(address user) external nonReentrant {
+        _checkOperator(user);
+        if (_accounts[user].deposited == 0) revert NoVestingPosition();
+
+        _claim(user);
+    }
+
+    /**
+     * @notice Approve or revoke an operator that can claim and deposit for you
+     * @param operator The operator address (e.g. a keeper)
+     * @param approved Whether the operator may act for you
+     */
+    function setOperator(address operator, bool approved) external {
+        _setOperator(msg.sender, operator, approved);
+    }
+
+    /**
+     * @notice Approve or revoke an operator with the user's EIP-712 signature
+     * @dev Anyone can submit the signature. Supports EIP-1271 contract wallets.
+     *      Each signature consumes the user's current nonce
+     * @param user The user granting or revoking
+     * @param operator The operator address
+     * @param approved Whether the operator may act for the user
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param signature The user's signature over the OperatorApproval struct
+     */
+    function setOperatorWithSig(
+        address user,
+        address operator,
+        bool approved,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _checkSignature(
+            user,
+            keccak256(abi.encode(OPERATOR_APPROVAL_TYPEHASH, user, operator, approved, _useNonce(user), deadline)),
+            deadline,
+            signature
+        );
+
+        _setOperator(user, operator, approved);
+    }
+
+    /**
+     * @notice Deposit a user's esMPD with their EIP-712 signature
+     * @dev Lets a relayer pay gas for users without ETH. esMPD (and any pair reserve,
+     *      which still needs the user's allowance) is taken from the user, and the
+     *      position belongs to the user. Supports EIP-1271 contract wallets
+     * @param user The user depositing
+     * @param amount The amount of esMPD to deposit
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param signature The user's signature over the Deposit struct
+     */
+    function depositWithSig(
+        address user,
+        uint256 amount,
+        uint256 deadline,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused {
+        _checkSignature(
+            user,
+            keccak256(abi.encode(DEPOSIT_TYPEHASH, user, amount, _useNonce(user), deadline)),
+            deadline,
+            signature
+        );
+
+        _deposit(user, amount);
+    }
+
+    /**
+     * @notice Claim a user's vested MPD with their EIP-712 signature
+     * @dev MPD is always minted to the user, never the relayer
+     * @param user The user claiming
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param signature The user's signature over the Claim struct
+     */
+    function claimWithSig(address user, uint256 deadline, bytes calldata signature) external nonReentrant {
+        _checkSignature(
+            user,
+            keccak256(abi.encode(CLAIM_TYPEHASH, user, _useNonce(user), deadline)),
+            deadline,
+            signature
+        );
+        if (_accounts[user].deposited == 0) revert NoVestingPosition();
+
+        _claim(user);
+    }
+
+    /**
+     * @notice Withdraw a user's unvested esMPD with their EIP-712 signature
+     * @dev Behaves like withdraw(uint256) for the user; esMPD and any MPD or pair
+     *      tokens paid out go to the user, never the relayer
+     * @param user The user withdrawing
+     * @param amount The unvested esMPD to return (type(uint256).max for all of it)
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param signature The user's signature over the Withdraw struct
+     */
+    function withdrawWithSig(
+        address user,
+        uint256 amount,
+        uint256 deadline,
+        bytes calldata signature
+    ) external nonReentrant {
+        _checkSignature(
+            user,
+            keccak256(abi.encode(WITHDRAW_TYPEHASH, user, amount, _useNonce(user), deadline)),
+            deadline,
+            signature
+        );
+        if (amount == 0) revert ZeroAmount();
+
+        _withdraw(user, amount);
+    }
+
+    /**
+     * @notice Withdraw all unvested esMPD and exit vesting
+     * @dev Pays out any claimable MPD first, then mints back unvested esMPD across all
+     *      tranches to user (since esMPD was burned on deposit). Tranches still in their
+     *      cliff have vested nothing, so they are returned in full
+     */
+    function withdraw() external nonReentrant {
+        _withdraw(msg.sender, type(uint256).max);
+    }
+
+    /**
+     * @notice Withdraw part of the unvested esMPD and leave the rest vesting
+     * @dev Pays out any claimable MPD first. The amount is taken from the newest
+     *      tranches first; a partially withdrawn tranche keeps its schedule
+     * @param amount The amount of unvested esMPD to return (type(uint256).max for all of it)
+     */
+    function withdraw(uint256 amount) external nonReentrant {
+        if (amount == 0) revert ZeroAmount();
+
+        _withdraw(msg.sender, amount);
+    }
+
+    /**
+     * @notice Signal intent to move your esMPD balance and vesting position to a new address
+     * @dev The receiver must call acceptTransfer to complete the migration.
+     *      Signalling again replaces any previous pending receiver.
+     * @param receiver The fresh address to migrate to
+     */
+    function signalTransfer(address receiver) external nonReentrant {
+        _validateReceiver(msg.sender, receiver);
+
+        pendingReceivers[msg.sender] = receiver;
+
+        emit TransferSignalled(msg.sender, receiver);
+    }
+
+    /**
+     * @notice Accept an account transfer previously signalled by `sender`
+     * @dev Moves the sender's full esMPD balance and vesting position (deposited,
+     *      claimed, last claim and start time, every tranche and the pair token
+     *      reserve) to the caller, together with the max vestable allowance and the
+     *      esMPD already committed against it, so the cap holds across the transfer
+     * @param sender The account being migrated
+     */
+    function acceptTransfer(address sender) external nonReentrant {
+        address receiver = msg.sender;
+        if (pendingReceivers[sender] != receiver) revert TransferNotSignalled();
+
+        _validateReceiver(sender, receiver);
+
+        delete pendingReceivers[sender];
+
+        // Move esMPD balance (Vester is an esMPD handler)
+        uint256 esMpdAmount = esMpd.balanceOf(sender);
+        if (esMpdAmount > 0) {
+            esMpd.safeTransferFrom(sender, receiver, esMpdAmount);
+        }
+
+        // Move vesting position
+        uint256 deposited = _accounts[sender].deposited;
+        if (deposited > 0) {
+            _accounts[receiver] = _accounts[sender];
+            _tranches[receiver] = _tranches[sender];
+            pairReserves[receiver] = pairReserves[sender];
+
+            delete _accounts[sender];
+            delete _tranches[sender];
+            pairReserves[sender] = 0;
+        }
+
+        // Move the vesting cap: bonus and tracker allowance along with the esMPD used against it
+        cumulativeVested[receiver] += cumulativeVested[sender];
+        cumulativeVested[sender] = 0;
+
+        bonusRewards[receiver] += bonusRewards[sender];
+        bonusRewards[sender] = 0;
+
+        uint256 trackerRewards = _trackerRewards(sender);
+        transferredCumulativeRewards[receiver] += trackerRewards;
+        cumulativeRewardDeductions[sender] += trackerRewards;
+
+        emit TransferAccepted(sender, receiver, esMpdAmount, deposited);
+    }
+
+    /**
+     * @notice Redeem esMPD for MPD immediately instead of vesting
+     * @dev The net amount of esMPD is burned and minted 1:1 as MPD; the penalty
+     *      share is forfeited and moved as esMPD to the treasury and rewards
+     *      distributor (Vester is an esMPD handler). The MPD minted counts against
+     *      the global and per-user deposit caps and the max vestable amount like a
+     *      deposit would
+     * @param amount The amount of esMPD to redeem
+     */
+    function instantRedeem(uint256 amount) external nonReentrant whenNotPaused {
+        if (amount == 0) revert ZeroAmount();
+
+        address recipient = penaltyRecipient;
+        if (recipient == address(0) || instantRedeemPenaltyBps == 0) revert InstantRedeemDisabled();
+
+        (uint256 mpdAmount, uint256 penaltyAmount) = quoteInstantRedeem(amount);
+        _checkCapacity(msg.sender, mpdAmount);
+
+        if (penaltyAmount > 0) {
+            _routeForfeit(msg.sender, penaltyAmount);
+        }
+
+        IEsMPD(address(esMpd)).burn(msg.sender, mpdAmount);
+        cumulativeVested[msg.sender] += mpdAmount;
+        totalInstantRedeemed += mpdAmount;
+        IMPDToken(address(mpd)).mint(msg.sender, mpdAmount);
+
+        emit InstantRedeemed(msg.sender, amount, mpdAmount, penaltyAmount, recipient);
+    }
+
+    /**
+     * @notice Port your vesting position to the successor Vester
+     * @dev Pays out claimable MPD first, then moves every tranche (with its schedule),
+     *      the claimed total and the pair reserve. NFT positions are not ported;
+     *      their holders can withdraw and redeposit
+     */
+    function migratePosition() external nonReentrant {
+        address target = successor;
+        if (target == address(0)) revert NotMigrated();
+        if (_accounts[msg.sender].deposited == 0) revert NoVestingPosition();
+
+        _settle(msg.sender);
+
+        uint256 deposited = _accounts[msg.sender].deposited;
+        uint256 claimed = _accounts[msg.sender].claimed;
+        uint256 reserve = pairReserves[msg.sender];
+        Tranche[] memory tranches = _tranches[msg.sender];
+
+        totalDeposited -= deposited - claimed;
+        outstandingLiability -= deposited - claimed;
+        if (tranches.length > 0) activePositions--;
+
+        delete _accounts[msg.sender];
+        delete _tranches[msg.sender];
+        pairReserves[msg.sender] = 0;
+
+        if (reserve > 0) {
+            totalPairReserved -= reserve;
+            pairToken.safeTransfer(target, reserve);
+        }
+
+        Vester(target).importPosition(msg.sender, tranches, deposited, claimed, reserve);
+
+        emit PositionMigrated(msg.sender, target, deposited);
+    }
+
+    /**
+     * @notice Receive a position ported from the predecessor Vester
+     * @dev Only callable by the predecessor, which has already transferred any pair reserve
+     * @param user The user whose position is ported
+     * @param tranches The user's live tranches, schedules unchanged
+     * @param deposited The user's deposited amount
+     * @param claimed The MPD already claimed from the position
+     * @param reserve The pair tokens reserved for the position
+     */
+    function importPosition(
+        address user,
+        Tranche[] calldata tranches,
+        uint256 deposited,
+        uint256 claimed,
+        uint256 reserve
+    ) external nonReentrant {
+        if (msg.sender != predecessor || predecessor == address(0)) revert NotPredecessor();
+        if (_accounts[user].deposited > 0) revert PositionAlreadyExists();
+        if (reserve > 0 && address(pairToken) != address(Vester(msg.sender).pairToken())) {
+            revert PairTokenMismatch();
+        }
+
+        _accounts[user] = Account({
+            deposited: deposited.toUint96(),
+            claimed: claimed.toUint96(),
+            lastClaimTime: uint32(block.timestamp),
+            startTime: tranches.length > 0 ? tranches[0].startTime : uint32(block.timestamp)
+        });
+
+        for (uint256 i = 0; i < tranches.length; i++) {
+            _tranches[user].push(tranches[i]);
+        }
+
+        if (reserve > 0) {
+            pairReserves[user] = reserve;
+            totalPairReserved += reserve;
+        }
+
+        uint256 unvested = deposited - claimed;
+        cumulativeVested[user] += unvested;
+        totalDeposited += unvested;
+        outstandingLiability += unvested;
+        if (tranches.length > 0) activePositions++;
+
+        emit PositionImported(user, deposited);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice Get the total esMPD deposited by a user
+     * @param user The address to check
+     * @return The deposited amount
+     */
+    function depositedAmount(address user) external view returns (uint256) {
+        return _accounts[user].deposited;
+    }
+
+    /**
+     * @notice Get the total MPD already claimed by a user
+     * @param user The address to check
+     * @return The claimed amount
+     */
+    function claimedAmount(address user) external view returns (uint256) {
+        return _accounts[user].claimed;
+    }
+
+    /**
+     * @notice Get the timestamp of a user's last claim (or deposit if never claimed)
+     * @param user The address to check
+     * @return The last claim timestamp
+     */
+    function lastClaimTime(address user) external view returns (uint256) {
+        return _accounts[user].lastClaimTime;
+    }
+
+    /**
+     * @notice Get the timestamp when a user first deposited (start of vesting)
+     * @param user The address to check
+     * @return The vesting start timestamp
+     */
+    function vestingStartTime(address user) external view returns (uint256) {
+        return _accounts[user].startTime;
+    }
+
+    /**
+     * @notice Get the total MPD minted by the Vester
+     * @return MPD minted to vesting positions plus MPD minted by instant redemption
+     */
+    function totalMinted() external view returns (uint256) {
+        return totalClaimed + totalInstantRedeemed;
+    }
+
+    /**
+     * @notice Get the most esMPD a user may ever have committed to vesting
+     * @param user The address to check
+     * @return Cumulative tracker rewards plus bonus, or max uint256 if the cap is disabled
+     */
+    function maxVestableAmount(address user) public view returns (uint256) {
+        if (!maxVestableCapEnabled) return type(uint256).max;
+
+        return bonusRewards[user] + _trackerRewards(user);
+    }
+
+    /**
+     * @notice Get how much more esMPD a user can deposit under the cap
+     * @param user The address to check
+     * @return The remaining vestable amount (max uint256 if the cap is disabled)
+     */
+    function remainingVestableAmount(address user) public view returns (uint256) {
+        uint256 maxAmount = maxVestableAmount(user);
+        uint256 used = cumulativeVested[user];
+
+        return maxAmount > used ? maxAmount - used : 0;
+    }
+
+    /**
+     * @notice Get the esMPD that can still be deposited before the global cap
+     * @dev Instantly redeemed MPD uses up the same capacity
+     * @return The remaining global capacity (max uint256 if uncapped)
+     */
+    function remainingGlobalDepositCapacity() public view returns (uint256) {
+        uint256 cap = globalDepositCap;
+        if (cap == 0) return type(uint256).max;
+
+        uint256 used = totalDeposited + totalInstantRedeemed;
+        return cap > used ? cap - used : 0;
+    }
+
+    /**
+     * @notice Get the esMPD a user can still deposit before the per-user cap
+     * @param user The address to check
+     * @return The remaining capacity for the user (max uint256 if uncapped)
+     */
+    function remainingUserDepositCapacity(address user) public view returns (uint256) {
+        uint256 cap = userDepositCap;
+        if (cap == 0) return type(uint256).max;
+
+        uint256 used = cumulativeVested[user];
+        return cap > used ? cap - used : 0;
+    }
+
+    /**
+     * @notice Get how much esMPD a user can deposit right now
+     * @dev Combines the pause, allowlist, deposit caps and max vestable amount
+     * @param user The address to check
+     * @return The largest deposit that would currently succeed
+     */
+    function remainingDepositCapacity(address user) external view returns (uint256) {
+        if (paused() || successor != address(0)) return 0;
+        if (allowlistEnabled && !isAllowlisted[user]) return 0;
+
+        uint256 capacity = remainingGlobalDepositCapacity();
+        uint256 userCapacity = remainingUserDepositCapacity(user);
+        uint256 vestable = remainingVestableAmount(user);
+
+        if (userCapacity < capacity) capacity = userCapacity;
+        if (vestable < capacity) capacity = vestable;
+
+        return capacity;
+    }
+
+    /**
+     * @notice Calculate the pair tokens that must be reserved to deposit an amount of esMPD
+     * @param amount The amount of esMPD to deposit
+     * @return The pair tokens that will be locked (0 if no pair token is set)
+     */
+    function requiredPairReserve(uint256 amount) public view returns (uint256) {
+        if (address(pairToken) == address(0)) return 0;
+
+        return (amount * pairRatioBps) / BASIS_POINTS;
+    }
+
+    /**
+     * @notice Quote an instant redemption before committing
+     * @param amount The amount of esMPD to redeem
+     * @return mpdAmount The MPD the user would receive
+     * @return penaltyAmount The esMPD that would be forfeited
+     */
+    function quoteInstantRedeem(uint256 amount) public view returns (uint256 mpdAmount, uint256 penaltyAmount) {
+        penaltyAmount = (amount * instantRedeemPenaltyBps) / BASIS_POINTS;
+        mpdAmount = amount - penaltyAmount;
+    }
+
+    /**
+     * @notice Calculate the amount of MPD claimable by a user right now
+     * @param user The address to check
+     * @return The amount of MPD that can be claimed
+     */
+    function claimable(address user) external view returns (uint256) {
+        return _calculatePendingAmount(user);
     }
 
     /**
@@ -234,10 +1356,7 @@ contract Vester is Ownable, ReentrancyGuard {
      * @return The amount of esMPD that hasn't vested yet
      */
     function unvestedAmount(address user) external view returns (uint256) {
-        uint256 deposited = depositedAmount[user];
-        uint256 vested = _calculateVestedAmount(user);
-        
-        return deposited > vested ? deposited - vested : 0;
+        return _calculateUnvestedAmount(user);
     }
 
     /**
@@ -246,24 +1365,116 @@ contract Vester is Ownable, ReentrancyGuard {
      * @return The seconds until fully vested (0 if already fully vested)
      */
     function timeUntilFullyVested(address user) external view returns (uint256) {
-        if (depositedAmount[user] == 0) return 0;
-        
-        uint256 elapsed = block.timestamp - vestingStartTime[user];
-        
-        if (elapsed >= vestingDuration) return 0;
-        
-        return vestingDuration - elapsed;
+        Tranche[] storage tranches = _tranches[user];
+        uint256 remaining;
+
+        for (uint256 i = 0; i < tranches.length; i++) {
+            uint256 endTime = uint256(tranches[i].startTime) + tranches[i].duration;
+            if (endTime > block.timestamp && endTime - block.timestamp > remaining) {
+                remaining = endTime - block.timestamp;
+            }
+        }
+
+        return remaining;
+    }
+
+    /**
+     * @notice Get the number of live tranches for a user
+     * @param user The address to check
+     * @return The number of tranches that are not yet fully claimed
+     */
+    function trancheCount(address user) external view returns (uint256) {
+        return _tranches[user].length;
+    }
+
+    /**
+     * @notice List a user's live tranches
+     * @param user The address to check
+     * @return The user's tranches, oldest first
+     */
+    function getTranches(address user) external view returns (Tranche[] memory) {
+        return _tranches[user];
+    }
+
+    /**
+     * @notice Get the unlock schedule of a single tranche
+     * @param user The address to check
+     * @param index The tranche index (see getTranches)
+     * @return startTime When the tranche started vesting
+     * @return endTime When the tranche is fully vested
+     * @return amount The esMPD deposited in the tranche
+     * @return vested The amount vested so far
+     * @return claimed The amount already claimed
+     */
+    function trancheSchedule(address user, uint256 index) external view returns (
+        uint256 startTime,
+        uint256 endTime,
+        uint256 amount,
+        uint256 vested,
+        uint256 claimed
+    ) {
+        if (index >= _tranches[user].length) revert InvalidTrancheIndex();
+
+        Tranche storage tranche = _tranches[user][index];
+
+        return _schedule(tranche);
+    }
+
+    /**
+     * @notice Get the vesting tranche behind a position NFT
+     * @param tokenId The position token id
+     * @return The position's tranche (all zero once the position is closed)
+     */
+    function getPosition(uint256 tokenId) external view returns (Tranche memory) {
+        return _positions[tokenId];
+    }
+
+    /**
+     * @notice Calculate the amount of MPD claimable from a position NFT right now
+     * @param tokenId The position token id
+     * @return The amount of MPD that can be claimed
+     */
+    function positionClaimable(uint256 tokenId) external view returns (uint256) {
+        Tranche storage position = _positions[tokenId];
+        if (position.amount == 0) return 0;
+
+        return _calculateTrancheVested(position) - position.claimed;
+    }
+
+    /**
+     * @notice Get the unlock schedule of a position NFT
+     * @param tokenId The position token id
+     * @return startTime When the position started vesting
+     * @return endTime When the position is fully vested
+     * @return amount The esMPD deposited in the position
+     * @return vested The amount vested so far
+     * @return claimed The amount already claimed
+     */
+    function positionSchedule(uint256 tokenId) external view returns (
+        uint256 startTime,
+        uint256 endTime,
+        uint256 amount,
+        uint256 vested,
+        uint256 claimed
+    ) {
+        Tranche storage position = _positions[tokenId];
+        if (position.amount == 0) revert InvalidPosition();
+
+        return _schedule(position);
     }
 
     // ============ Admin Functions ============
 
     /**
      * @notice Update the vesting duration for new deposits
-     * @dev Only affects future vesting calculations, not existing positions
+     * @dev Only applies to tranches opened after the update. Existing tranches keep
+     *      the duration snapshotted at their deposit, so live schedules never move
      * @param _vestingDuration New vesting duration in seconds
      */
     function setVestingDuration(uint256 _vestingDuration) external onlyOwner {
-        if (_vestingDuration == 0) revert InvalidVestingDuration();
+        if (_vestingDuration == 0 || _vestingDuration < cliffDuration || _vestingDuration > type(uint32).max) {
+            revert InvalidVestingDuration();
+        }
         
         uint256 oldDuration = vestingDuration;
         vestingDuration = _vestingDuration;
@@ -271,51 +1482,839 @@ contract Vester is Ownable, ReentrancyGuard {
         emit VestingDurationUpdated(oldDuration, _vestingDuration);
     }
 
-    // ============ Internal Functions ============
+    /**
+     * @notice Update the cliff for new deposits
+     * @dev Only applies to tranches opened after the update, like setVestingDuration
+     * @param _cliffDuration New cliff in seconds (0 disables, max vestingDuration)
+     */
+    function setCliffDuration(uint256 _cliffDuration) external onlyOwner {
+        if (_cliffDuration > vestingDuration) revert InvalidCliffDuration();
+
+        uint256 oldCliff = cliffDuration;
+        cliffDuration = _cliffDuration;
+
+        emit CliffDurationUpdated(oldCliff, _cliffDuration);
+    }
 
     /**
-     * @notice Internal function to process a claim
-     * @dev esMPD was already burned on deposit, so we just mint the vested MPD
-     * @param user The address claiming MPD
+     * @notice Update the release curve for new deposits
+     * @dev Only applies to tranches opened after the update, like setVestingDuration
+     * @param _vestingCurve New release curve
      */
-    function _claim(address user) internal {
-        uint256 totalVested = _calculateVestedAmount(user);
-        uint256 claimed = claimedAmount[user];
-        
-        uint256 claimableAmount = totalVested > claimed ? totalVested - claimed : 0;
-        
-        if (claimableAmount == 0) revert NothingToClaim();
+    function setVestingCurve(VestingCurve _vestingCurve) external onlyOwner {
+        VestingCurve oldCurve = vestingCurve;
+        vestingCurve = _vestingCurve;
 
-        // Update claimed amount and last claim time
-        claimedAmount[user] = totalVested;
-        lastClaimTime[user] = block.timestamp;
+        emit VestingCurveUpdated(oldCurve, _vestingCurve);
+    }
 
-        // Mint MPD to user (esMPD was already burned on deposit)
-        IMPDToken(address(mpd)).mint(user, claimableAmount);
+    /**
+     * @notice Update the share of esMPD withheld on instant redemption
+     * @dev Must be at least MIN_INSTANT_REDEEM_PENALTY_BPS, so instant redemption
+     *      can never skip vesting for (nearly) free
+     * @param _penaltyBps New penalty in basis points (at least the floor, below 100%)
+     */
+    function setInstantRedeemPenalty(uint256 _penaltyBps) external onlyOwner {
+        if (_penaltyBps < MIN_INSTANT_REDEEM_PENALTY_BPS || _penaltyBps >= BASIS_POINTS) revert InvalidPenalty();
 
-        emit Claimed(user, claimableAmount);
+        uint256 oldPenaltyBps = instantRedeemPenaltyBps;
+        instantRedeemPenaltyBps = _penaltyBps;
+
+        emit InstantRedeemPenaltyUpdated(oldPenaltyBps, _penaltyBps);
     }
 
     /**
-     * @notice Calculate total vested amount for a user based on time elapsed
-     * @dev Uses linear vesting: vestedAmount = depositedAmount * timeElapsed / vestingDuration
-     * @param user The address to calculate for
-     * @return The total amount that has vested (capped at deposited amount)
+     * @notice Update the recipient of instant redemption penalties
+     * @dev Setting a recipient enables instant redemption
+     * @param _penaltyRecipient New penalty recipient (treasury or staking rewards)
      */
-    function _calculateVestedAmount(address user) internal view returns (uint256) {
-        uint256 deposited = depositedAmount[user];
-        
-        if (deposited == 0) return 0;
-        
-        uint256 elapsed = block.timestamp - vestingStartTime[user];
-        
-        // If fully vested, return total deposited amount
-        if (elapsed >= vestingDuration) {
-            return deposited;
-        }
-        
+    function setPenaltyRecipient(address _penaltyRecipient) external onlyOwner {
+        if (_penaltyRecipient == address(0)) revert ZeroAddress();
+
+        address oldRecipient = penaltyRecipient;
+        penaltyRecipient = _penaltyRecipient;
+
+        emit PenaltyRecipientUpdated(oldRecipient, _penaltyRecipient);
+    }
+
+    /**
+     * @notice Update the rewards distributor receiving the stakers' share of forfeits
+     * @param _rewardsDistributor New rewards distributor (zero sends everything to the treasury)
+     */
+    function setRewardsDistributor(address _rewardsDistributor) external onlyOwner {
+        address oldDistributor = rewardsDistributor;
+        rewardsDistributor = _rewardsDistributor;
+
+        emit RewardsDistributorUpdated(oldDistributor, _rewardsDistributor);
+    }
+
+    /**
+     * @notice Update the share of forfeited esMPD sent to stakers
+     * @param _stakerShareBps New share in basis points (the rest goes to the treasury)
+     */
+    function setForfeitSplit(uint256 _stakerShareBps) external onlyOwner {
+        if (_stakerShareBps > BASIS_POINTS) revert InvalidForfeitShare();
+
+        uint256 oldShareBps = stakerForfeitShareBps;
+        stakerForfeitShareBps = _stakerShareBps;
+
+        emit ForfeitSplitUpdated(oldShareBps, _stakerShareBps);
+    }
+
+    /**
+     * @notice Update the token reserved alongside deposits
+     * @dev Cannot change while any reserve is locked, so every reserve is released
+     *      in the token it was taken in. Zero disables the reserve requirement
+     * @param _pairToken New pair token (e.g. staked MPD)
+     */
+    function setPairToken(address _pairToken) external onlyOwner {
+        if (totalPairReserved > 0) revert PairTokenInUse();
+
+        address oldToken = address(pairToken);
+        pairToken = IERC20(_pairToken);
+
+        emit PairTokenUpdated(oldToken, _pairToken);
+    }
+
+    /**
+     * @notice Update the pair tokens required per esMPD deposited
+     * @dev Only applies to new deposits; existing reserves are released as recorded
+     * @param _pairRatioBps New ratio in basis points (10,000 = 1 pair token per esMPD)
+     */
+    function setPairRatio(uint256 _pairRatioBps) external onlyOwner {
+        uint256 oldRatioBps = pairRatioBps;
+        pairRatioBps = _pairRatioBps;
+
+        emit PairRatioUpdated(oldRatioBps, _pairRatioBps);
+    }
+
+    /**
+     * @notice Pause deposits and instant redemption
+     * @dev Claims, withdrawals and transfers keep working
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+     * @notice Resume deposits
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /**
+     * @notice Update the cap on esMPD deposited across all users
+     * @dev Lowering it below totalDeposited plus totalInstantRedeemed only blocks
+     *      new deposits and instant redemptions
+     * @param _globalDepositCap New cap (0 = unlimited)
+     */
+    function setGlobalDepositCap(uint256 _globalDepositCap) external onlyOwner {
+        uint256 oldCap = globalDepositCap;
+        globalDepositCap = _globalDepositCap;
+
+        emit GlobalDepositCapUpdated(oldCap, _globalDepositCap);
+    }
+
+    /**
+     * @notice Update the cap on esMPD each user may commit to vesting
+     * @param _userDepositCap New cap (0 = unlimited)
+     */
+    function setUserDepositCap(uint256 _userDepositCap) external onlyOwner {
+        uint256 oldCap = userDepositCap;
+        userDepositCap = _userDepositCap;
+
+        emit UserDepositCapUpdated(oldCap, _userDepositCap);
+    }
+
+    /**
+     * @notice Enable or disable the allowlist phase
+     * @param enabled Whether only allowlisted addresses may deposit
+     */
+    function setAllowlistEnabled(bool enabled) external onlyOwner {
+        allowlistEnabled = enabled;
+
+        emit AllowlistEnabledSet(enabled);
+    }
+
+    /**
+     * @notice Add or remove an address from the deposit allowlist
+     * @param user The address to update
+     * @param allowed Whether the address may deposit during the allowlist phase
+     */
+    function setAllowlisted(address user, bool allowed) external onlyOwner {
+        if (user == address(0)) revert ZeroAddress();
+
+        isAllowlisted[user] = allowed;
+
+        emit AllowlistSet(user, allowed);
+    }
+
+    /**
+     * @notice Configure the position NFT and enable NFT-mode deposits
+     * @dev Can only be set once, since live positions are tied to their NFT contract
+     * @param _positionNft The VestingPositionNFT minted for this Vester
+     */
+    function setPositionNft(address _positionNft) external onlyOwner {
+        if (_positionNft == address(0)) revert ZeroAddress();
+        if (address(positionNft) != address(0)) revert PositionNftAlreadySet();
+
+        positionNft = IVestingPositionNFT(_positionNft);
+
+        emit PositionNftSet(_positionNft);
+    }
+
+    /**
+     * @notice Enable or disable capping deposits at maxVestableAmount
+     * @param enabled Whether deposits should be capped
+     */
+    function setMaxVestableCapEnabled(bool enabled) external onlyOwner {
+        maxVestableCapEnabled = enabled;
+
+        emit MaxVestableCapSet(enabled);
+    }
+
+    /**
+     * @notice Update the reward tracker whose cumulative rewards count towards the cap
+     * @param _rewardTracker New reward tracker (zero to rely on bonus rewards only)
+     */
+    function setRewardTracker(address _rewardTracker) external onlyOwner {
+        address oldTracker = address(rewardTracker);
+        rewardTracker = IRewardTracker(_rewardTracker);
+
+        emit RewardTrackerUpdated(oldTracker, _rewardTracker);
+    }
+
+    /**
+     * @notice Set the bonus allowance added to a user's cap
+     * @param user The user to update
+     * @param amount The new bonus amount (replaces any previous bonus)
+     */
+    function setBonusReward(address user, uint256 amount) external onlyOwner {
+        if (user == address(0)) revert ZeroAddress();
+
+        bonusRewards[user] = amount;
+
+        emit BonusRewardSet(user, amount);
+    }
+
+    /**
+     * @notice Propose migrating to a successor Vester
+     * @dev Starts the MIGRATION_DELAY timelock; proposing again restarts it
+     * @param _successor The successor Vester (or governance address to receive token ownership)
+     */
+    function proposeMigration(address _successor) external onlyOwner {
+        if (_successor == address(0) || _successor == address(this)) revert InvalidSuccessor();
+        if (successor != address(0)) revert AlreadyMigrated();
+
+        pendingSuccessor = _successor;
+        migrationReadyAt = block.timestamp + MIGRATION_DELAY;
+
+        emit MigrationProposed(_successor, migrationReadyAt);
+    }
+
+    /**
+     * @notice Cancel a pending migration
+     */
+    function cancelMigration() external onlyOwner {
+        address cancelled = pendingSuccessor;
+        if (cancelled == address(0)) revert NoPendingMigration();
+
+        pendingSuccessor = address(0);
+        migrationReadyAt = 0;
+
+        emit MigrationCancelled(cancelled);
+    }
+
+    /**
+     * @notice Execute the pending migration once its timelock has passed
+     * @dev Stops deposits and instant redemption, enables migratePosition and
+     *      hands ownership of MPD or esMPD back to governance (this Vester's owner)
+     *      if the Vester holds it, so minter rights can be granted to the successor.
+     *      The successor must separately be given minter rights and setPredecessor(this)
+     */
+    function executeMigration() external onlyOwner {
+        address target = pendingSuccessor;
+        if (target == address(0)) revert NoPendingMigration();
+        if (block.timestamp < migrationReadyAt) revert MigrationNotReady(migrationReadyAt);
+
+        successor = target;
+        pendingSuccessor = address(0);
+        migrationReadyAt = 0;
+
+        _handOffOwnership(address(mpd));
+        _handOffOwnership(address(esMpd));
+
+        emit MigrationExecuted(target);
+    }
+
+    /**
+     * @notice Allow a previous Vester to port positions into this one
+     * @dev Can only be set once
+     * @param _predecessor The previous Vester
+     */
+    function setPredecessor(address _predecessor) external onlyOwner {
+        if (_predecessor == address(0)) revert ZeroAddress();
+        if (predecessor != address(0)) revert PredecessorAlreadySet();
+
+        predecessor = _predecessor;
+
+        emit PredecessorSet(_predecessor);
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @notice Internal function to process a claim
+     * @dev esMPD was already burned on deposit, so we just mint the vested MPD
+     * @param user The address claiming MPD
+     */
+    function _claim(address user) internal {
+        if (_settle(user) == 0) revert NothingToClaim();
+    }
+
+    /**
+     * @notice Settles a user and returns unvested esMPD
+     * @param user The withdrawing address
+     * @param amount The unvested esMPD to return, or type(uint256).max for all of it
+     */
+    function _withdraw(address user, uint256 amount) internal {
+        if (_accounts[user].deposited == 0) revert NoVestingPosition();
+
+        _settle(user);
+
+        uint256 available = _calculateUnvestedAmount(user);
+        if (amount == type(uint256).max) {
+            amount = available;
+        } else if (amount > available) {
+            revert InsufficientUnvested(amount, available);
+        }
+
+        _withdrawUnvested(user, amount);
+    }
+
+    /**
+     * @notice Pays out whatever has vested across a user's tranches, if anything
+     * @dev Unlike _claim this never reverts when nothing is claimable
+     * @param user The address to settle
+     * @return claimableAmount The amount of MPD minted
+     */
+    function _settle(address user) internal returns (uint256 claimableAmount) {
+        Tranche[] storage tranches = _tranches[user];
+
+        for (uint256 i = 0; i < tranches.length; i++) {
+            uint256 vested = _calculateTrancheVested(tranches[i]);
+            if (vested > tranches[i].claimed) {
+                claimableAmount += vested - tranches[i].claimed;
+                tranches[i].claimed = uint96(vested);
+            }
+        }
+        
+        if (claimableAmount == 0) return 0;
+
+        _pruneClaimedTranches(user);
+
+        // Release the matching share of the pair reserve
+        Account storage account = _accounts[user];
+        _releasePairReserve(user, claimableAmount, account.deposited - account.claimed);
+
+        // Update claimed amount and last claim time
+        account.claimed += uint96(claimableAmount);
+        account.lastClaimTime = uint32(block.timestamp);
+
+        totalClaimed += claimableAmount;
+        outstandingLiability -= claimableAmount;
+
+        // Mint MPD to user (esMPD was already burned on deposit)
+        IMPDToken(address(mpd)).mint(user, claimableAmount);
+
+        emit Claimed(user, claimableAmount);
+    }
+
+    /**
+     * @notice Returns unvested esMPD to a settled user, newest tranches first
+     * @dev Must run right after _settle so every tranche's claimed equals its vested
+     *      amount. A partially drained tranche has amount and claimed scaled down
+     *      together, so the esMPD left in it keeps vesting on the same curve.
+     *      Closes the position once nothing is left vesting.
+     * @param user The withdrawing address
+     * @param amount The unvested esMPD to return
+     */
+    function _withdrawUnvested(address user, uint256 amount) internal {
+        Tranche[] storage tranches = _tranches[user];
+        uint256 left = amount;
+
+        for (uint256 i = tranches.length; i > 0 && left > 0; i--) {
+            Tranche storage tranche = tranches[i - 1];
+            uint256 unvested = tranche.amount - tranche.claimed;
+            if (unvested == 0) continue;
+
+            uint256 take = left < unvested ? left : unvested;
+            uint256 kept = unvested - take;
+
+            tranche.claimed = uint96((tranche.claimed * kept) / unvested);
+            tranche.amount = tranche.claimed + uint96(kept);
+            left -= take;
+        }
+
+        _pruneClaimedTranches(user);
+
+        // Release the matching share of the pair reserve (all of it on exit)
+        Account storage account = _accounts[user];
+        _releasePairReserve(user, amount, account.deposited - account.claimed);
+
+        bool closed = tranches.length == 0;
+        if (closed) {
+            // Nothing left vesting: close the position
+            delete _accounts[user];
+        } else {
+            account.deposited -= uint96(amount);
+        }
+
+        // Returned esMPD no longer counts against the caps
+        cumulativeVested[user] -= amount;
+        totalDeposited -= amount;
+        outstandingLiability -= amount;
+
+        // Mint back unvested esMPD to user (esMPD was burned on deposit, so we mint it back)
+        if (amount > 0) {
+            IEsMPD(address(esMpd)).mint(user, amount);
+        }
+
+        emit Withdrawn(user, amount, 0);
+        if (!closed) {
+            emit PartialWithdrawn(user, amount, _calculateUnvestedAmount(user));
+        }
+    }
+
+    /**
+     * @notice Returns pair tokens in proportion to esMPD leaving the position
+     * @dev Releasing everything still locked returns the whole reserve, so no dust is left
+     * @param user The address to release for
+     * @param amount The esMPD being claimed or withdrawn
+     * @param locked The esMPD still locked (deposited minus claimed) before this release
+     */
+    function _releasePairReserve(address user, uint256 amount, uint256 locked) internal {
+        pairReserves[user] -= _payPairReserve(user, pairReserves[user], amount, locked);
+    }
+
+    /**
+     * @notice Moves forfeited esMPD from a user to the treasury and rewards distributor
+     * @dev Without a rewards distributor the whole amount goes to the treasury
+     * @param from The user forfeiting esMPD
+     * @param amount The amount forfeited
+     */
+    function _routeForfeit(address from, uint256 amount) internal {
+        uint256 stakerAmount = rewardsDistributor == address(0)
+            ? 0
+            : (amount * stakerForfeitShareBps) / BASIS_POINTS;
+        uint256 treasuryAmount = amount - stakerAmount;
+
+        totalForfeited += amount;
+        forfeitedToTreasury += treasuryAmount;
+        forfeitedToStakers += stakerAmount;
+
+        if (treasuryAmount > 0) {
+            esMpd.safeTransferFrom(from, penaltyRecipient, treasuryAmount);
+        }
+        if (stakerAmount > 0) {
+            esMpd.safeTransferFrom(from, rewardsDistributor, stakerAmount);
+        }
+
+        emit ForfeitRouted(from, treasuryAmount, stakerAmount);
+    }
+
+    /**
+     * @notice Transfers the share of a reserve matching the esMPD leaving it
+     * @param to The recipient of the released pair tokens
+     * @param reserve The reserve being released from
+     * @param amount The esMPD being claimed or withdrawn
+     * @param locked The esMPD still locked before this release
+     * @return released The amount of pair tokens transferred
+     */
+    function _payPairReserve(
+        address to,
+        uint256 reserve,
+        uint256 amount,
+        uint256 locked
+    ) internal returns (uint256 released) {
+        if (reserve == 0 || locked == 0) return 0;
+
+        released = amount >= locked ? reserve : (reserve * amount) / locked;
+        if (released == 0) return 0;
+
+        totalPairReserved -= released;
+
+        pairToken.safeTransfer(to, released);
+
+        emit PairReleased(to, released);
+    }
+
+    /**
+     * @notice Opens or tops up a user's vesting position with a new tranche
+     * @param user The user whose esMPD is deposited and who owns the position
+     * @param amount The amount of esMPD to deposit
+     */
+    function _deposit(address user, uint256 amount) internal {
+        if (amount == 0) revert ZeroAmount();
+
+        // If user has existing position, pay out pending rewards first
+        // (without reverting when nothing has accrued, e.g. same block or fully claimed)
+        if (_accounts[user].deposited > 0) {
+            _settle(user);
+        }
+
+        if (_tranches[user].length >= MAX_TRANCHES) revert TooManyTranches();
+
+        pairReserves[user] += _takeDeposit(user, amount);
+
+        // Update user's vesting position
+        Account storage account = _accounts[user];
+        if (account.deposited == 0) {
+            // First deposit: set vesting start time
+            account.startTime = uint32(block.timestamp);
+            account.lastClaimTime = uint32(block.timestamp);
+        }
+        
+        account.deposited += amount.toUint96();
+
+        if (_tranches[user].length == 0) activePositions++;
+        _tranches[user].push(_newTranche(amount));
+
+        emit Deposited(user, amount);
+    }
+
+    /**
+     * @notice Records an operator approval or revocation
+     * @param user The user granting or revoking
+     * @param operator The operator address
+     * @param approved Whether the operator may act for the user
+     */
+    function _setOperator(address user, address operator, bool approved) internal {
+        if (operator == address(0)) revert ZeroAddress();
+        if (operator == user) revert InvalidOperator();
+
+        isOperator[user][operator] = approved;
+
+        emit OperatorSet(user, operator, approved);
+    }
+
+    /**
+     * @notice Reverts unless the caller is an approved operator of the user
+     * @param user The user being acted for
+     */
+    function _checkOperator(address user) internal view {
+        if (!isOperator[user][msg.sender]) revert NotOperator();
+    }
+
+    /**
+     * @notice Transfers ownership of a token to this Vester's owner if the Vester holds it
+     * @param token The token contract
+     */
+    function _handOffOwnership(address token) internal {
+        if (Ownable(token).owner() != address(this)) return;
+
+        Ownable(token).transferOwnership(owner());
+
+        emit TokenOwnershipHandedOff(token, owner());
+    }
+
+    /**
+     * @notice Tracker rewards counting towards a user's cap, adjusted for account transfers
+     * @param user The address to check
+     * @return Own tracker rewards plus inherited, minus those handed on
+     */
+    function _trackerRewards(address user) internal view returns (uint256) {
+        uint256 amount = transferredCumulativeRewards[user];
+        if (address(rewardTracker) != address(0)) {
+            amount += rewardTracker.cumulativeRewards(user);
+        }
+
+        uint256 deductions = cumulativeRewardDeductions[user];
+        return amount > deductions ? amount - deductions : 0;
+    }
+
+    /**
+     * @notice Checks the migration state, allowlist, deposit caps and max vestable amount for a user
+     * @dev Shared by deposits and instant redemption; the caller records the usage
+     * @param user The depositor or redeemer
+     * @param amount The amount counted against the caps
+     */
+    function _checkCapacity(address user, uint256 amount) internal view {
+        if (successor != address(0)) revert AlreadyMigrated();
+        if (allowlistEnabled && !isAllowlisted[user]) revert NotAllowlisted();
+
+        uint256 globalAvailable = remainingGlobalDepositCapacity();
+        if (amount > globalAvailable) revert GlobalDepositCapExceeded(amount, globalAvailable);
+
+        uint256 userAvailable = remainingUserDepositCapacity(user);
+        if (amount > userAvailable) revert UserDepositCapExceeded(amount, userAvailable);
+
+        uint256 vestable = remainingVestableAmount(user);
+        if (amount > vestable) revert MaxVestableAmountExceeded(amount, vestable);
+    }
+
+    /**
+     * @notice Checks the allowlist and caps, burns deposited esMPD and locks the pair reserve
+     * @param from The depositor
+     * @param amount The amount of esMPD being deposited
+     * @return reserve The pair tokens locked for this deposit
+     */
+    function _takeDeposit(address from, uint256 amount) internal returns (uint256 reserve) {
+        _checkCapacity(from, amount);
+
+        cumulativeVested[from] += amount;
+        totalDeposited += amount;
+        outstandingLiability += amount;
+
+        // Burn esMPD from user (esMPD is non-transferable, so we burn instead of transfer)
+        IEsMPD(address(esMpd)).burn(from, amount);
+
+        // Lock the pair token reserve, if one is required
+        reserve = requiredPairReserve(amount);
+        if (reserve > 0) {
+            pairToken.safeTransferFrom(from, address(this), reserve);
+            totalPairReserved += reserve;
+
+            emit PairReserved(from, reserve);
+        }
+    }
+
+    /**
+     * @notice Builds a new tranche from the current vesting settings
+     * @param amount The esMPD deposited
+     * @return The tranche starting now
+     */
+    function _newTranche(uint256 amount) internal view returns (Tranche memory) {
+        return Tranche({
+            amount: amount.toUint96(),
+            claimed: 0,
+            startTime: uint32(block.timestamp),
+            duration: uint32(vestingDuration), // locked in for the life of this tranche
+            cliff: uint32(cliffDuration),
+            curve: vestingCurve
+        });
+    }
+
+    /**
+     * @notice Summarizes a tranche's unlock schedule
+     * @param tranche The tranche to describe
+     * @return startTime When the tranche started vesting
+     * @return endTime When the tranche is fully vested
+     * @return amount The esMPD deposited in the tranche
+     * @return vested The amount vested so far
+     * @return claimed The amount already claimed
+     */
+    function _schedule(Tranche storage tranche) internal view returns (
+        uint256 startTime,
+        uint256 endTime,
+        uint256 amount,
+        uint256 vested,
+        uint256 claimed
+    ) {
+        return (
+            tranche.startTime,
+            uint256(tranche.startTime) + tranche.duration,
+            tranche.amount,
+            _calculateTrancheVested(tranche),
+            tranche.claimed
+        );
+    }
+
+    /**
+     * @notice Pays out whatever has vested in a position NFT to its holder, if anything
+     * @param tokenId The position token id
+     * @param holder The current holder of the position
+     * @return claimableAmount The amount of MPD minted
+     */
+    function _settlePosition(uint256 tokenId, address holder) internal returns (uint256 claimableAmount) {
+        Tranche storage position = _positions[tokenId];
+        uint256 vested = _calculateTrancheVested(position);
+        claimableAmount = vested - position.claimed;
+
+        if (claimableAmount == 0) return 0;
+
+        // Release the matching share of the pair reserve
+        positionPairReserves[tokenId] -= _payPairReserve(
+            holder,
+            positionPairReserves[tokenId],
+            claimableAmount,
+            position.amount - position.claimed
+        );
+
+        position.claimed = uint96(vested);
+        if (vested == position.amount) activePositions--;
+
+        totalClaimed += claimableAmount;
+        outstandingLiability -= claimableAmount;
+
+        IMPDToken(address(mpd)).mint(holder, claimableAmount);
+
+        emit PositionClaimed(tokenId, holder, claimableAmount);
+    }
+
+    /**
+     * @notice Reverts unless `user` signed the EIP-712 struct before the deadline
+     * @dev Accepts EOA signatures and EIP-1271 contract wallet signatures
+     * @param user The expected signer
+     * @param structHash The EIP-712 struct hash, built with the user's consumed nonce
+     * @param deadline Timestamp after which the signature is no longer valid
+     * @param signature The signature to check
+     */
+    function _checkSignature(
+        address user,
+        bytes32 structHash,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal view {
+        if (block.timestamp > deadline) revert ExpiredSignature(deadline);
+
+        if (!SignatureChecker.isValidSignatureNow(user, _hashTypedDataV4(structHash), signature)) {
+            revert InvalidSignature();
+        }
+    }
+
+    /**
+     * @notice Reverts unless the caller holds the position NFT
+     * @param tokenId The position token id
+     */
+    function _checkPositionOwner(uint256 tokenId) internal view {
+        if (address(positionNft) == address(0)) revert PositionsDisabled();
+        if (positionNft.ownerOf(tokenId) != msg.sender) revert NotPositionOwner();
+    }
+
+    /**
+     * @notice Validates that `receiver` is a fresh address that can take over `sender`'s account
+     * @param sender The account being migrated
+     * @param receiver The proposed receiver
+     */
+    function _validateReceiver(address sender, address receiver) internal view {
+        if (receiver == address(0) || receiver == sender) revert InvalidReceiver();
+        if (_accounts[receiver].deposited > 0) revert InvalidReceiver();
+        if (esMpd.balanceOf(receiver) > 0) revert InvalidReceiver();
+    }
+
+    /**
+     * @notice Removes fully claimed tranches while preserving order
+     * @dev Their amounts stay reflected in depositedAmount and claimedAmount.
+     *      Removing the last live tranche deactivates the account's position
+     * @param user The address whose tranches to prune
+     */
+    function _pruneClaimedTranches(address user) internal {
+        Tranche[] storage tranches = _tranches[user];
+        uint256 length = tranches.length;
+        uint256 kept;
+
+        for (uint256 i = 0; i < tranches.length; i++) {
+            if (tranches[i].claimed < tranches[i].amount) {
+                if (kept != i) tranches[kept] = tranches[i];
+                kept++;
+            }
+        }
+
+        while (tranches.length > kept) {
+            tranches.pop();
+        }
+
+        // Last live tranche gone: the account no longer has anything vesting
+        if (length > 0 && kept == 0) activePositions--;
+    }
+
+    /**
+     * @notice Calculate total vested amount for a user based on time elapsed
+     * @dev Sum of already claimed MPD and what is pending across live tranches
+     * @param user The address to calculate for
+     * @return The total amount that has vested (capped at deposited amount)
+     */
+    function _calculateVestedAmount(address user) internal view returns (uint256) {
+        if (_accounts[user].deposited == 0) return 0;
+
+        return _accounts[user].claimed + _calculatePendingAmount(user);
+    }
+
+    /**
+     * @notice Calculate esMPD that has not vested yet across a user's tranches
+     * @param user The address to calculate for
+     * @return The amount still vesting
+     */
+    function _calculateUnvestedAmount(address user) internal view returns (uint256) {
+        uint256 deposited = _accounts[user].deposited;
+        uint256 vested = _calculateVestedAmount(user);
+
+        return deposited > vested ? deposited - vested : 0;
+    }
+
+    /**
+     * @notice Calculate vested but unclaimed MPD across a user's tranches
+     * @param user The address to calculate for
+     * @return The amount currently claimable
+     */
+    function _calculatePendingAmount(address user) internal view returns (uint256) {
+        Tranche[] storage tranches = _tranches[user];
+        uint256 pending;
+
+        for (uint256 i = 0; i < tranches.length; i++) {
+            uint256 vested = _calculateTrancheVested(tranches[i]);
+            if (vested > tranches[i].claimed) {
+                pending += vested - tranches[i].claimed;
+            }
+        }
+
+        return pending;
+    }
+
+    /**
+     * @notice Calculate the vested amount of a single tranche
+     * @dev Follows the tranche's release curve, with nothing vested until the
+     *      cliff has passed
+     * @param tranche The tranche to calculate for
+     * @return The amount of the tranche that has vested (capped at its amount)
+     */
+    function _calculateTrancheVested(Tranche storage tranche) internal view returns (uint256) {
+        uint256 elapsed = block.timestamp - tranche.startTime;
+
+        // Nothing vests during the cliff
+        if (elapsed < tranche.cliff) {
+            return 0;
+        }
+
+        // If fully vested, return total tranche amount
+        if (elapsed >= tranche.duration) {
+            return tranche.amount;
+        }
+
+        return _applyCurve(tranche.curve, tranche.amount, elapsed, tranche.duration);
+    }
+
+    /**
+     * @notice Evaluate a release curve part-way through a schedule
+     * @param curve The release curve
+     * @param amount The total amount being vested
+     * @param elapsed Seconds since the schedule started (below duration)
+     * @param duration Total schedule length in seconds
+     * @return The amount vested after `elapsed` seconds
+     */
+    function _applyCurve(
+        VestingCurve curve,
+        uint256 amount,
+        uint256 elapsed,
+        uint256 duration
+    ) internal pure returns (uint256) {
+        if (curve == VestingCurve.MonthlyStep) {
+            uint256 steppedElapsed = (elapsed / STEP_INTERVAL) * STEP_INTERVAL;
+            return (amount * steppedElapsed) / duration;
+        }
+
+        if (curve == VestingCurve.FrontLoaded) {
+            return (amount * elapsed * (2 * duration - elapsed)) / (duration * duration);
+        }
+
+        if (curve == VestingCurve.BackLoaded) {
+            return (amount * elapsed * elapsed) / (duration * duration);
+        }
+
         // Linear vesting calculation
-        return (deposited * elapsed) / vestingDuration;
+        return (amount * elapsed) / duration;
     }
 }
 
@@ -0,0 +1,146 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+// ============ Interfaces ============
+
+/**
+ * @notice Interface for reading a position's schedule from the Vester
+ */
+interface IVesterPositions {
+    function positionSchedule(uint256 tokenId) external view returns (
+        uint256 startTime,
+        uint256 endTime,
+        uint256 amount,
+        uint256 vested,
+        uint256 claimed
+    );
+}
+
+/**
+ * @title VestingPositionNFT
+ * @author MPD DEX Team
+ * @notice ERC-721 receipts for Vester positions opened in NFT mode.
+ *
+ * @dev Each token represents one esMPD deposit vesting inside the Vester.
+ *      - Only the Vester can mint and burn tokens
+ *      - Whoever holds the token can claim and withdraw the position,
+ *        so positions can be moved or posted as collateral like any NFT
+ *      - tokenURI is fully on-chain and reads live schedule data from the
+ *        Vester, so metadata always reflects current vesting progress
+ */
+contract VestingPositionNFT is ERC721 {
+    using Strings for uint256;
+
+    // ============ State Variables ============
+
+    /// @notice The Vester that owns the positions behind these tokens
+    address public immutable vester;
+
+    /// @notice The id that will be assigned to the next minted position
+    uint256 public nextTokenId = 1;
+
+    // ============ Errors ============
+
+    /// @notice Thrown when a caller other than the Vester mints or burns
+    error NotVester();
+
+    /// @notice Thrown when an address parameter is zero
+    error ZeroAddress();
+
+    // ============ Modifiers ============
+
+    /**
+     * @notice Restricts function to the Vester
+     */
+    modifier onlyVester() {
+        if (msg.sender != vester) revert NotVester();
+        _;
+    }
+
+    // ============ Constructor ============
+
+    /**
+     * @notice Initializes the position NFT for a Vester
+     * @param _vester The Vester allowed to mint and burn positions
+     */
+    constructor(address _vester) ERC721("MPD Vesting Position", "vMPD") {
+        if (_vester == address(0)) revert ZeroAddress();
+
+        vester = _vester;
+    }
+
+    // ============ External Functions ============
+
+    /**
+     * @notice Mint a new position token
+     * @dev Only callable by the Vester when a position is opened
+     * @param to The initial holder of the position
+     * @return tokenId The id of the minted token
+     */
+    function mint(address to) external onlyVester returns (uint256 tokenId) {
+        tokenId = nextTokenId++;
+        _safeMint(to, tokenId);
+    }
+
+    /**
+     * @notice Burn a position token
+     * @dev Only callable by the Vester when a position is closed
+     * @param tokenId The token to burn
+     */
+    function burn(uint256 tokenId) external onlyVester {
+        _burn(tokenId);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @notice On-chain JSON metadata describing the position
+     * @dev Amounts are reported in wei; progress is the vested share in percent
+     * @param tokenId The token to describe
+     * @return A base64-encoded data URI
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+
+        (
+            uint256 startTime,
+            uint256 endTime,
+            uint256 amount,
+            uint256 vested,
+            uint256 claimed
+        ) = IVesterPositions(vester).positionSchedule(tokenId);
+
+        uint256 progress = amount == 0 ? 0 : (vested * 100) / amount;
+
+        string memory json = string.concat(
+            '{"name":"MPD Vesting Position #', tokenId.toString(),
+            '","description":"esMPD vesting into MPD. The holder can claim vested MPD and withdraw unvested esMPD.",',
+            '"attributes":[',
+            _attribute("Amount", amount), ",",
+            _attribute("Vested", vested), ",",
+            _attribute("Claimed", claimed), ",",
+            _attribute("Start Time", startTime), ",",
+            _attribute("End Time", endTime), ",",
+            _attribute("Progress", progress),
+            "]}"
+        );
+
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @notice Formats a numeric metadata attribute
+     * @param traitType The attribute name
+     * @param value The attribute value
+     * @return The JSON object for the attribute
+     */
+    function _attribute(string memory traitType, uint256 value) internal pure returns (string memory) {
+        return string.concat('{"trait_type":"', traitType, '","value":', value.toString(), "}");
+    }
+}
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title MockERC1271Wallet
+ * @author MPD DEX Team
+ * @notice Test double for a smart-contract wallet that validates signatures via EIP-1271.
+ *
+ * @dev Accepts any signature made by its owner key over the given hash. Not for deployment.
+ */
+contract MockERC1271Wallet is IERC1271 {
+
+    // ============ State Variables ============
+
+    /// @notice The key whose signatures the wallet accepts
+    address public immutable owner;
+
+    // ============ Constructor ============
+
+    /**
+     * @notice Initializes the wallet
+     * @param _owner The key whose signatures the wallet accepts
+     */
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    // ============ External Functions ============
+
+    /**
+     * @notice EIP-1271 signature check
+     * @param hash The signed digest
+     * @param signature The owner's signature over the digest
+     * @return The EIP-1271 magic value if the owner signed, otherwise 0xffffffff
+     */
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4) {
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(hash, signature);
+        if (error == ECDSA.RecoverError.NoError && signer == owner) {
+            return IERC1271.isValidSignature.selector;
+        }
+        return 0xffffffff;
+    }
+}
@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
+
+/**
+ * @notice Interface for the Vester calls the receiver makes
+ */
+interface IVesterPositionDeposits {
+    function depositPosition(uint256 amount) external returns (uint256 tokenId);
+    function positionSchedule(uint256 tokenId) external view returns (
+        uint256 startTime,
+        uint256 endTime,
+        uint256 amount,
+        uint256 vested,
+        uint256 claimed
+    );
+}
+
+/**
+ * @notice Interface for reading position metadata from the NFT
+ */
+interface IPositionMetadata {
+    function tokenURI(uint256 tokenId) external view returns (string memory);
+}
+
+/**
+ * @title MockPositionReceiver
+ * @author MPD DEX Team
+ * @notice Test double for a contract (e.g. an OTC desk or collateral vault) that
+ *         inspects vesting positions as they arrive.
+ *
+ * @dev Opens positions from its own esMPD and, in onERC721Received, reads the
+ *      position's schedule and tokenURI, recording what it saw. Not for deployment.
+ */
+contract MockPositionReceiver is IERC721Receiver {
+
+    // ============ State Variables ============
+
+    /// @notice The Vester positions are opened in
+    address public immutable vester;
+
+    /// @notice Position amount read during the last receive callback
+    uint256 public receivedAmount;
+
+    /// @notice tokenURI read during the last receive callback
+    string public receivedTokenURI;
+
+    // ============ Constructor ============
+
+    /**
+     * @notice Initializes the receiver
+     * @param _vester The Vester positions are opened in
+     */
+    constructor(address _vester) {
+        vester = _vester;
+    }
+
+    // ============ External Functions ============
+
+    /**
+     * @notice Open a position from this contract's esMPD
+     * @param amount The amount of esMPD to deposit
+     * @return tokenId The id of the minted position NFT
+     */
+    function depositPosition(uint256 amount) external returns (uint256 tokenId) {
+        return IVesterPositionDeposits(vester).depositPosition(amount);
+    }
+
+    /**
+     * @notice ERC-721 receive hook that inspects the incoming position
+     * @param tokenId The position token received
+     * @return The ERC-721 receiver selector
+     */
+    function onERC721Received(
+        address,
+        address,
+        uint256 tokenId,
+        bytes calldata
+    ) external returns (bytes4) {
+        (, , receivedAmount, , ) = IVesterPositionDeposits(vester).positionSchedule(tokenId);
+        receivedTokenURI = IPositionMetadata(msg.sender).tokenURI(tokenId);
+
+        return IERC721Receiver.onERC721Received.selector;
+    }
+}
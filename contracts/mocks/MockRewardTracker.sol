@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockRewardTracker
+ * @author MPD DEX Team
+ * @notice Test double for a reward tracker that reports cumulative esMPD rewards.
+ *
+ * @dev Only implements the `cumulativeRewards` view the Vester reads. Values are
+ *      set directly by tests. Not for deployment.
+ */
+contract MockRewardTracker {
+
+    // ============ State Variables ============
+
+    /// @notice Cumulative rewards reported for each account
+    mapping(address => uint256) public cumulativeRewards;
+
+    // ============ External Functions ============
+
+    /**
+     * @notice Set the cumulative rewards reported for an account
+     * @param account The account to update
+     * @param amount The cumulative rewards to report
+     */
+    function setCumulativeRewards(address account, uint256 amount) external {
+        cumulativeRewards[account] = amount;
+    }
+}
@@ -32,6 +32,8 @@ module.exports = {
         enabled: true,
         runs: 200,
       },
+      // The IR pipeline keeps Vester under the 24 KB contract size limit
+      viaIR: true,
     },
   },
   defaultNetwork: "hardhat",
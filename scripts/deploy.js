@@ -12,6 +12,15 @@ const path = require("path");
 // ============ Configuration ============
 
 const VESTING_DURATION = 365 * 24 * 60 * 60; // 365 days in seconds
+const MAX_SUPPLY = hre.ethers.parseEther("100000000"); // 100M MPD hard cap
+
+// Deployer esMPD mint limits (bounds damage from a compromised deployer key)
+const DEPLOYER_ESMPD_WINDOW_CAP = hre.ethers.parseEther("1000000"); // 1M esMPD per rolling window
+const DEPLOYER_ESMPD_WINDOW_DURATION = 24 * 60 * 60; // 1 day in seconds
+const DEPLOYER_ESMPD_LIFETIME_CAP = hre.ethers.parseEther("10000000"); // 10M esMPD total
+
+// Instant redemption penalty (enabled once governance sets a penalty recipient)
+const INSTANT_REDEEM_PENALTY_BPS = 5000; // 50%
 
 // ============ Helper Functions ============
 
@@ -39,6 +48,7 @@ function writeDeploymentFile(network, addresses) {
     network: network,
     timestamp: new Date().toISOString(),
     vestingDuration: VESTING_DURATION,
+    maxSupply: MAX_SUPPLY.toString(),
   };
   
   fs.writeFileSync(filepath, JSON.stringify(deploymentData, null, 2));
@@ -67,13 +77,14 @@ async function main() {
     await hre.ethers.provider.getBalance(deployer.address)
   ), "ETH");
   console.log("Vesting Duration: ", VESTING_DURATION, "seconds (365 days)");
+  console.log("MPD Max Supply:   ", hre.ethers.formatEther(MAX_SUPPLY), "MPD");
   separator();
 
   // ============ Step 1: Deploy MPDToken ============
   
   console.log("\n📦 [1/3] Deploying MPDToken...");
   const MPDToken = await hre.ethers.getContractFactory("MPDToken");
-  const mpdToken = await MPDToken.deploy(deployer.address);
+  const mpdToken = await MPDToken.deploy(deployer.address, MAX_SUPPLY);
   await mpdToken.waitForDeployment();
   const mpdTokenAddress = await mpdToken.getAddress();
   console.log("   ✅ MPDToken deployed to:", mpdTokenAddress);
@@ -105,11 +116,11 @@ async function main() {
   
   console.log("\n🔐 Configuring permissions...");
 
-  // 4a. Transfer MPDToken ownership to Vester (so Vester can mint MPD)
-  console.log("   • Transferring MPDToken ownership to Vester...");
-  const transferOwnershipTx = await mpdToken.transferOwnership(vesterAddress);
-  await transferOwnershipTx.wait();
-  console.log("     ✅ MPDToken ownership transferred to Vester");
+  // 4a. Set Vester as minter for MPDToken (so Vester can mint vested MPD)
+  console.log("   • Setting Vester as MPDToken minter...");
+  const setVesterMPDMinterTx = await mpdToken.setMinter(vesterAddress, true);
+  await setVesterMPDMinterTx.wait();
+  console.log("     ✅ Vester set as MPDToken minter");
 
   // 4b. Set deployer as minter for EsMPD (for initial distribution)
   console.log("   • Setting deployer as EsMPD minter...");
@@ -117,37 +128,75 @@ async function main() {
   await setDeployerMinterTx.wait();
   console.log("     ✅ Deployer set as EsMPD minter");
 
-  // 4c. Set Vester as minter for EsMPD (for burn on deposit, mint on withdraw)
+  // 4c. Rate-limit deployer esMPD minting
+  console.log("   • Setting deployer EsMPD mint limits...");
+  const setDeployerLimitsTx = await esMPD.setMintLimits(
+    deployer.address,
+    DEPLOYER_ESMPD_WINDOW_CAP,
+    DEPLOYER_ESMPD_WINDOW_DURATION,
+    DEPLOYER_ESMPD_LIFETIME_CAP
+  );
+  await setDeployerLimitsTx.wait();
+  console.log("     ✅ Deployer EsMPD mint limits set");
+
+  // 4d. Set Vester as minter for EsMPD (for burn on deposit, mint on withdraw)
   console.log("   • Setting Vester as EsMPD minter...");
   const setVesterMinterTx = await esMPD.setMinter(vesterAddress, true);
   await setVesterMinterTx.wait();
   console.log("     ✅ Vester set as EsMPD minter");
 
+  // 4e. Set Vester as handler for EsMPD (to move esMPD during account transfers)
+  console.log("   • Setting Vester as EsMPD handler...");
+  const setVesterHandlerTx = await esMPD.setHandler(vesterAddress, true);
+  await setVesterHandlerTx.wait();
+  console.log("     ✅ Vester set as EsMPD handler");
+
+  // 4f. Set instant redemption penalty on Vester
+  console.log("   • Setting Vester instant redemption penalty...");
+  const setPenaltyTx = await vester.setInstantRedeemPenalty(INSTANT_REDEEM_PENALTY_BPS);
+  await setPenaltyTx.wait();
+  console.log("     ✅ Instant redemption penalty set to", INSTANT_REDEEM_PENALTY_BPS, "bps");
+  console.log("     ℹ️  Instant redemption stays disabled until setPenaltyRecipient is called");
+
   // ============ Step 5: Verify Configuration ============
   
   console.log("\n🔍 Verifying configuration...");
   
   const mpdOwner = await mpdToken.owner();
+  const mpdMaxSupply = await mpdToken.maxSupply();
+  const isVesterMPDMinter = await mpdToken.isMinter(vesterAddress);
   const isDeployerEsMPDMinter = await esMPD.isMinter(deployer.address);
   const isVesterEsMPDMinter = await esMPD.isMinter(vesterAddress);
+  const isVesterEsMPDHandler = await esMPD.isHandler(vesterAddress);
+  const deployerEsMPDCapacity = await esMPD.remainingMintCapacity(deployer.address);
   const vesterMPDAddress = await vester.mpd();
   const vesterEsMPDAddress = await vester.esMpd();
   const vesterDuration = await vester.vestingDuration();
 
   console.log("   • MPDToken owner:", mpdOwner);
+  console.log("   • MPDToken max supply:", hre.ethers.formatEther(mpdMaxSupply), "MPD");
+  console.log("   • Vester is MPDToken minter:", isVesterMPDMinter);
   console.log("   • Deployer is EsMPD minter:", isDeployerEsMPDMinter);
+  console.log("   • Deployer EsMPD mint capacity:", hre.ethers.formatEther(deployerEsMPDCapacity), "esMPD");
   console.log("   • Vester is EsMPD minter:", isVesterEsMPDMinter);
+  console.log("   • Vester is EsMPD handler:", isVesterEsMPDHandler);
   console.log("   • Vester.mpd():", vesterMPDAddress);
   console.log("   • Vester.esMpd():", vesterEsMPDAddress);
   console.log("   • Vester.vestingDuration():", vesterDuration.toString(), "seconds");
 
   // Validation checks
-  if (mpdOwner !== vesterAddress) {
-    console.log("   ⚠️  Warning: MPDToken owner is not Vester!");
+  if (mpdOwner !== deployer.address) {
+    console.log("   ⚠️  Warning: MPDToken owner is not deployer!");
+  }
+  if (!isVesterMPDMinter) {
+    console.log("   ⚠️  Warning: Vester is not an MPDToken minter!");
   }
   if (!isVesterEsMPDMinter) {
     console.log("   ⚠️  Warning: Vester is not an EsMPD minter!");
   }
+  if (!isVesterEsMPDHandler) {
+    console.log("   ⚠️  Warning: Vester is not an EsMPD handler!");
+  }
 
   // ============ Step 6: Summary ============
   
@@ -180,7 +229,7 @@ async function main() {
   if (network !== "hardhat" && network !== "localhost") {
     console.log("\n📋 Contract Verification Commands:");
     separator();
-    console.log(`npx hardhat verify --network ${network} ${mpdTokenAddress} ${deployer.address}`);
+    console.log(`npx hardhat verify --network ${network} ${mpdTokenAddress} ${deployer.address} ${MAX_SUPPLY}`);
     console.log(`npx hardhat verify --network ${network} ${esMPDAddress} ${deployer.address}`);
     console.log(`npx hardhat verify --network ${network} ${vesterAddress} ${mpdTokenAddress} ${esMPDAddress} ${VESTING_DURATION} ${deployer.address}`);
     separator();
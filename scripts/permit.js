@@ -0,0 +1,153 @@
+// SPDX-License-Identifier: MIT
+/**
+ * @title MPD Token Permit Helper
+ * @notice Builds and signs EIP-2612 permit payloads for MPDToken
+ * @dev Run with: npx hardhat run scripts/permit.js --network <network>
+ *
+ *      Environment Variables:
+ *      - PERMIT_SPENDER: Address allowed to spend the signer's MPD (required)
+ *      - PERMIT_VALUE: Amount of MPD to approve, in whole tokens (required)
+ *      - PERMIT_DEADLINE: Unix timestamp after which the signature expires
+ *                         (optional, defaults to one hour from now)
+ *
+ *      The helpers are also exported so frontends and tests can reuse them.
+ */
+
+const { Signature } = require("ethers");
+const { loadDeployment } = require("./utils/deployment");
+
+// ============ Configuration ============
+
+const PERMIT_VERSION = "1";
+const DEFAULT_DEADLINE_SECONDS = 60 * 60; // 1 hour
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// ============ Helper Functions ============
+
+/**
+ * @notice Builds the EIP-712 typed data for an MPDToken permit
+ * @return The { domain, types, message } triple expected by signTypedData
+ */
+function buildPermitTypedData({ name, chainId, verifyingContract, owner, spender, value, nonce, deadline }) {
+  return {
+    domain: {
+      name,
+      version: PERMIT_VERSION,
+      chainId,
+      verifyingContract,
+    },
+    types: PERMIT_TYPES,
+    message: {
+      owner,
+      spender,
+      value,
+      nonce,
+      deadline,
+    },
+  };
+}
+
+/**
+ * @notice Reads the on-chain domain and nonce, then signs a permit with the given signer
+ * @return The permit arguments and split signature, ready for MPDToken.permit
+ */
+async function signPermit(signer, mpdToken, spender, value, deadline) {
+  const owner = await signer.getAddress();
+  const { chainId } = await signer.provider.getNetwork();
+
+  const { domain, types, message } = buildPermitTypedData({
+    name: await mpdToken.name(),
+    chainId,
+    verifyingContract: await mpdToken.getAddress(),
+    owner,
+    spender,
+    value,
+    nonce: await mpdToken.nonces(owner),
+    deadline,
+  });
+
+  const signature = await signer.signTypedData(domain, types, message);
+  const { v, r, s } = Signature.from(signature);
+
+  return { owner, spender, value, deadline, nonce: message.nonce, signature, v, r, s };
+}
+
+/**
+ * @notice Prints a separator line
+ */
+function separator() {
+  console.log("=".repeat(70));
+}
+
+// ============ Main Function ============
+
+async function main() {
+  const hre = require("hardhat");
+  const [signer] = await hre.ethers.getSigners();
+  const network = hre.network.name;
+
+  const spender = process.env.PERMIT_SPENDER;
+  const value = process.env.PERMIT_VALUE;
+  if (!spender || !value) {
+    throw new Error("PERMIT_SPENDER and PERMIT_VALUE must be set");
+  }
+
+  const deadline = process.env.PERMIT_DEADLINE
+    ? BigInt(process.env.PERMIT_DEADLINE)
+    : BigInt(Math.floor(Date.now() / 1000) + DEFAULT_DEADLINE_SECONDS);
+
+  const deployment = loadDeployment(network, ["MPDToken"]);
+  const mpdToken = await hre.ethers.getContractAt("MPDToken", deployment.MPDToken);
+
+  const permit = await signPermit(
+    signer,
+    mpdToken,
+    spender,
+    hre.ethers.parseEther(value),
+    deadline
+  );
+
+  separator();
+  console.log("✍️  MPD Permit Signature");
+  separator();
+  console.log("Network:  ", network);
+  console.log("MPDToken: ", deployment.MPDToken);
+  console.log("Owner:    ", permit.owner);
+  console.log("Spender:  ", permit.spender);
+  console.log("Value:    ", permit.value.toString());
+  console.log("Nonce:    ", permit.nonce.toString());
+  console.log("Deadline: ", permit.deadline.toString());
+  separator();
+  console.log("Signature:", permit.signature);
+  console.log("v:        ", permit.v);
+  console.log("r:        ", permit.r);
+  console.log("s:        ", permit.s);
+  separator();
+}
+
+// ============ Execute ============
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Permit signing failed:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  PERMIT_TYPES,
+  buildPermitTypedData,
+  signPermit,
+};
@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+/**
+ * @title Deployment File Helpers
+ * @notice Shared loader for the deployment records written by scripts/deploy.js
+ * @dev Deployments live in deployments/<network>.json; the in-process hardhat
+ *      network uses deployments/local.json.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// ============ Helper Functions ============
+
+/**
+ * @notice Loads deployment data from JSON file
+ * @dev Throws if the file is missing or any of `requiredFields` is absent or an empty address
+ * @param network The Hardhat network name
+ * @param requiredFields Fields the caller needs from the deployment
+ * @return The parsed deployment data
+ */
+function loadDeployment(network, requiredFields = []) {
+  const filename = network === "hardhat" ? "local.json" : `${network}.json`;
+  const filepath = path.join(__dirname, "..", "..", "deployments", filename);
+
+  if (!fs.existsSync(filepath)) {
+    throw new Error(`Deployment file not found: ${filepath}`);
+  }
+
+  const data = JSON.parse(fs.readFileSync(filepath, "utf8"));
+
+  for (const field of requiredFields) {
+    if (data[field] === "") {
+      throw new Error(`Empty address for field: ${field}. Have you deployed to ${network}?`);
+    }
+    if (data[field] === undefined || data[field] === null) {
+      throw new Error(`Missing required field in deployment file: ${field}`);
+    }
+  }
+
+  return data;
+}
+
+module.exports = {
+  loadDeployment,
+};
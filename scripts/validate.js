@@ -6,11 +6,12 @@
  */
 
 const hre = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { loadDeployment } = require("./utils/deployment");
 
 // ============ Configuration ============
 
+const REQUIRED_FIELDS = ["MPDToken", "esMPD", "Vester", "deployer", "network", "vestingDuration"];
+
 let passCount = 0;
 let failCount = 0;
 
@@ -47,33 +48,6 @@ function section(title) {
   console.log("-".repeat(50));
 }
 
-/**
- * @notice Loads deployment data from JSON file
- */
-function loadDeployment(network) {
-  const filename = network === "hardhat" ? "local.json" : `${network}.json`;
-  const filepath = path.join(__dirname, "..", "deployments", filename);
-
-  if (!fs.existsSync(filepath)) {
-    throw new Error(`Deployment file not found: ${filepath}`);
-  }
-
-  const data = JSON.parse(fs.readFileSync(filepath, "utf8"));
-
-  // Validate required fields
-  const requiredFields = ["MPDToken", "esMPD", "Vester", "deployer", "network", "vestingDuration"];
-  for (const field of requiredFields) {
-    if (!data[field] && data[field] !== 0) {
-      throw new Error(`Missing required field in deployment file: ${field}`);
-    }
-    if (field !== "network" && field !== "vestingDuration" && data[field] === "") {
-      throw new Error(`Empty address for field: ${field}. Have you deployed to ${network}?`);
-    }
-  }
-
-  return data;
-}
-
 // ============ Validation Functions ============
 
 /**
@@ -115,12 +89,67 @@ async function validateMPDToken(mpdToken, deployment) {
       fail("Total supply is negative (impossible state)");
     }
 
-    // Check owner is Vester
+    // Check supply cap
+    const maxSupply = await mpdToken.maxSupply();
+    if (deployment.maxSupply === undefined) {
+      pass(`Max supply is ${hre.ethers.formatEther(maxSupply)} MPD`);
+    } else if (maxSupply === BigInt(deployment.maxSupply)) {
+      pass(`Max supply is ${hre.ethers.formatEther(maxSupply)} MPD (matches deployment)`);
+    } else {
+      fail(`Max supply is ${maxSupply}, expected ${deployment.maxSupply}`);
+    }
+
+    // Check total supply is within cap and report headroom
+    const remaining = await mpdToken.remainingMintable();
+    if (totalSupply <= maxSupply && remaining === maxSupply - totalSupply) {
+      pass(`Remaining mintable is ${hre.ethers.formatEther(remaining)} MPD`);
+    } else {
+      fail(`Total supply ${totalSupply} is inconsistent with max supply ${maxSupply}`);
+    }
+
+    // Report cumulative minted totals for every address ever granted the minter role
+    const minterEvents = await mpdToken.queryFilter(mpdToken.filters.MinterSet());
+    const minters = [...new Set(minterEvents.map((event) => event.args.minter))];
+    let totalMintedByMinters = 0n;
+    for (const minter of minters) {
+      const minted = await mpdToken.mintedBy(minter);
+      const active = await mpdToken.isMinter(minter);
+      totalMintedByMinters += minted;
+      console.log(`  ℹ️  Minter ${minter} (${active ? "active" : "revoked"}): ${hre.ethers.formatEther(minted)} MPD minted`);
+    }
+
+    // Report burned supply
+    const totalBurned = await mpdToken.totalBurned();
+    pass(`Total burned is ${hre.ethers.formatEther(totalBurned)} MPD`);
+
+    if (totalMintedByMinters - totalBurned === totalSupply) {
+      pass("Per-minter totals minus burned supply match total supply");
+    } else {
+      fail(`Per-minter totals (${totalMintedByMinters}) minus burned (${totalBurned}) do not match total supply (${totalSupply})`);
+    }
+
+    // Check owner is deployer
     const owner = await mpdToken.owner();
-    if (owner.toLowerCase() === deployment.Vester.toLowerCase()) {
-      pass("Owner is Vester (Vester can mint MPD)");
+    if (owner.toLowerCase() === deployment.deployer.toLowerCase()) {
+      pass("Owner is deployer (manages minters)");
     } else {
-      fail(`Owner is ${owner}, expected Vester (${deployment.Vester})`);
+      fail(`Owner is ${owner}, expected deployer (${deployment.deployer})`);
+    }
+
+    // Check Vester is minter
+    const isVesterMinter = await mpdToken.isMinter(deployment.Vester);
+    if (isVesterMinter) {
+      pass("Vester is set as minter (Vester can mint MPD)");
+    } else {
+      fail("Vester is NOT set as minter");
+    }
+
+    // Check owner is not a minter (admin role is separate from minting)
+    const isOwnerMinter = await mpdToken.isMinter(owner);
+    if (!isOwnerMinter) {
+      pass("Owner is not a minter (admin separate from minting)");
+    } else {
+      fail("Owner should not be a minter");
     }
 
   } catch (error) {
@@ -167,6 +196,14 @@ async function validateEsMPD(esMPD, deployment, signer) {
       fail("Vester is NOT set as minter");
     }
 
+    // Check Vester is handler
+    const isVesterHandler = await esMPD.isHandler(deployment.Vester);
+    if (isVesterHandler) {
+      pass("Vester is set as handler (account transfers enabled)");
+    } else {
+      fail("Vester is NOT set as handler");
+    }
+
     // Check deployer is minter
     const isDeployerMinter = await esMPD.isMinter(deployment.deployer);
     if (isDeployerMinter) {
@@ -175,6 +212,21 @@ async function validateEsMPD(esMPD, deployment, signer) {
       fail("Deployer is NOT set as minter");
     }
 
+    // Check deployer mint limits are configured
+    const deployerLimits = await esMPD.mintLimits(deployment.deployer);
+    if (deployerLimits.windowCap > 0n && deployerLimits.lifetimeCap > 0n) {
+      pass(
+        `Deployer mint limits: ${hre.ethers.formatEther(deployerLimits.windowCap)} esMPD per ` +
+        `${Number(deployerLimits.windowDuration) / 3600}h, ${hre.ethers.formatEther(deployerLimits.lifetimeCap)} esMPD lifetime`
+      );
+      const remainingWindow = await esMPD.remainingWindowMint(deployment.deployer);
+      const remainingLifetime = await esMPD.remainingLifetimeMint(deployment.deployer);
+      console.log(`  ℹ️  Deployer remaining window capacity: ${hre.ethers.formatEther(remainingWindow)} esMPD`);
+      console.log(`  ℹ️  Deployer remaining lifetime capacity: ${hre.ethers.formatEther(remainingLifetime)} esMPD`);
+    } else {
+      fail("Deployer mint limits are NOT configured (unbounded minting)");
+    }
+
     // Check transfers are blocked
     try {
       // Try to estimate gas for a transfer (will fail if transfers blocked)
@@ -256,6 +308,96 @@ async function validateVester(vester, deployment) {
       fail(`Vesting duration is ${vestingDuration}, expected ${deployment.vestingDuration}`);
     }
 
+    // Report cliff configuration
+    const cliffDuration = await vester.cliffDuration();
+    if (cliffDuration <= vestingDuration) {
+      pass(`Cliff duration is ${cliffDuration} seconds (${Number(cliffDuration) / 86400} days)`);
+    } else {
+      fail(`Cliff duration ${cliffDuration} exceeds vesting duration ${vestingDuration}`);
+    }
+
+    // Report release curve
+    const curveNames = ["Linear", "MonthlyStep", "FrontLoaded", "BackLoaded"];
+    const vestingCurve = await vester.vestingCurve();
+    console.log(`  ℹ️  Vesting curve: ${curveNames[Number(vestingCurve)]}`);
+
+    // Report pair token reserve configuration
+    const pairToken = await vester.pairToken();
+    if (pairToken === hre.ethers.ZeroAddress) {
+      console.log("  ℹ️  Pair token reserve disabled (no pair token set)");
+    } else {
+      console.log(`  ℹ️  Pair token: ${pairToken} (${await vester.pairRatioBps()} bps per esMPD)`);
+      console.log(`  ℹ️  Pair tokens reserved: ${hre.ethers.formatEther(await vester.totalPairReserved())}`);
+    }
+
+    // Report max vestable cap configuration
+    if (await vester.maxVestableCapEnabled()) {
+      console.log(`  ℹ️  Max vestable cap enabled (reward tracker: ${await vester.rewardTracker()})`);
+    } else {
+      console.log("  ℹ️  Max vestable cap disabled");
+    }
+
+    // Report deposit controls
+    if (await vester.paused()) {
+      console.log("  ⚠️  Vester deposits and instant redemption are paused");
+    }
+    const globalDepositCap = await vester.globalDepositCap();
+    const userDepositCap = await vester.userDepositCap();
+    console.log(`  ℹ️  Global deposit cap: ${globalDepositCap === 0n ? "unlimited" : hre.ethers.formatEther(globalDepositCap) + " esMPD"}`);
+    console.log(`  ℹ️  Per-user deposit cap: ${userDepositCap === 0n ? "unlimited" : hre.ethers.formatEther(userDepositCap) + " esMPD"}`);
+    if (await vester.allowlistEnabled()) {
+      console.log("  ℹ️  Allowlist phase active (only allowlisted addresses can deposit)");
+    }
+
+    // Report NFT position mode
+    const positionNft = await vester.positionNft();
+    if (positionNft === hre.ethers.ZeroAddress) {
+      console.log("  ℹ️  NFT positions disabled (no position NFT set)");
+    } else {
+      console.log(`  ℹ️  NFT positions enabled (position NFT: ${positionNft})`);
+    }
+
+    // Report instant redemption configuration
+    const penaltyBps = await vester.instantRedeemPenaltyBps();
+    const penaltyRecipient = await vester.penaltyRecipient();
+    const minPenaltyBps = await vester.MIN_INSTANT_REDEEM_PENALTY_BPS();
+    if (penaltyBps >= minPenaltyBps && penaltyBps < await vester.BASIS_POINTS()) {
+      pass(`Instant redemption penalty is ${penaltyBps} bps`);
+    } else {
+      fail(`Instant redemption penalty is ${penaltyBps} bps (must be at least ${minPenaltyBps} and below 100%)`);
+    }
+    if (penaltyRecipient === hre.ethers.ZeroAddress) {
+      console.log("  ℹ️  Instant redemption disabled (no penalty recipient set)");
+    } else {
+      console.log(`  ℹ️  Instant redemption penalty recipient: ${penaltyRecipient}`);
+    }
+
+    // Report forfeit routing
+    const rewardsDistributor = await vester.rewardsDistributor();
+    if (rewardsDistributor === hre.ethers.ZeroAddress) {
+      console.log("  ℹ️  Forfeits go entirely to the treasury (no rewards distributor set)");
+    } else {
+      console.log(`  ℹ️  Forfeits: ${await vester.stakerForfeitShareBps()} bps to rewards distributor ${rewardsDistributor}`);
+    }
+    console.log(`  ℹ️  Total forfeited: ${hre.ethers.formatEther(await vester.totalForfeited())} esMPD`);
+
+    // Report global accounting
+    console.log(`  ℹ️  Total deposited: ${hre.ethers.formatEther(await vester.totalDeposited())} esMPD`);
+    console.log(`  ℹ️  Total MPD minted: ${hre.ethers.formatEther(await vester.totalMinted())} (${hre.ethers.formatEther(await vester.totalClaimed())} vested, ${hre.ethers.formatEther(await vester.totalInstantRedeemed())} instant)`);
+    console.log(`  ℹ️  Outstanding liability: ${hre.ethers.formatEther(await vester.outstandingLiability())} MPD across ${await vester.activePositions()} active positions`);
+
+    // Report migration status
+    const successor = await vester.successor();
+    const pendingSuccessor = await vester.pendingSuccessor();
+    if (successor !== hre.ethers.ZeroAddress) {
+      console.log(`  ⚠️  Vester has migrated to ${successor} (deposits closed)`);
+    } else if (pendingSuccessor !== hre.ethers.ZeroAddress) {
+      const readyAt = await vester.migrationReadyAt();
+      console.log(`  ⚠️  Migration to ${pendingSuccessor} pending, executable at ${new Date(Number(readyAt) * 1000).toISOString()}`);
+    } else {
+      console.log("  ℹ️  No migration pending");
+    }
+
     // Check owner
     const owner = await vester.owner();
     if (owner.toLowerCase() === deployment.deployer.toLowerCase()) {
@@ -309,7 +451,7 @@ async function main() {
   console.log("\n📂 Loading deployment data...");
   let deployment;
   try {
-    deployment = loadDeployment(network);
+    deployment = loadDeployment(network, REQUIRED_FIELDS);
     console.log("   Loaded deployment from:", network === "hardhat" ? "local.json" : `${network}.json`);
     console.log("   Deployment timestamp:", deployment.timestamp || "N/A");
   } catch (error) {
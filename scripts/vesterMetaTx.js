@@ -0,0 +1,184 @@
+// SPDX-License-Identifier: MIT
+/**
+ * @title Vester Meta-Transaction Helper
+ * @notice Builds and signs EIP-712 deposit, claim and withdraw intents for the Vester
+ * @dev Run with: npx hardhat run scripts/vesterMetaTx.js --network <network>
+ *
+ *      Environment Variables:
+ *      - VESTER_ACTION: One of "deposit", "claim" or "withdraw" (required)
+ *      - VESTER_AMOUNT: Amount of esMPD, in whole tokens (required for deposit
+ *                       and withdraw; "all" withdraws everything unvested)
+ *      - VESTER_USER: Account the intent is for (optional, defaults to the signer;
+ *                     set it to a smart-contract wallet whose EIP-1271 check
+ *                     accepts the signer's key)
+ *      - VESTER_DEADLINE: Unix timestamp after which the signature expires
+ *                         (optional, defaults to one hour from now)
+ *
+ *      The signature is printed for a relayer to submit via depositWithSig,
+ *      claimWithSig or withdrawWithSig. The helpers are also exported so
+ *      frontends, relayers and tests can reuse them.
+ */
+
+const { MaxUint256 } = require("ethers");
+const { loadDeployment } = require("./utils/deployment");
+
+// ============ Configuration ============
+
+const VESTER_DOMAIN_NAME = "MPD Vester";
+const VESTER_DOMAIN_VERSION = "1";
+const DEFAULT_DEADLINE_SECONDS = 60 * 60; // 1 hour
+
+const META_TX_TYPES = {
+  deposit: {
+    Deposit: [
+      { name: "user", type: "address" },
+      { name: "amount", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+  claim: {
+    Claim: [
+      { name: "user", type: "address" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+  withdraw: {
+    Withdraw: [
+      { name: "user", type: "address" },
+      { name: "amount", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  },
+};
+
+// ============ Helper Functions ============
+
+/**
+ * @notice Builds the EIP-712 typed data for a Vester deposit, claim or withdraw intent
+ * @return The { domain, types, message } triple expected by signTypedData
+ */
+function buildMetaTxTypedData({ action, chainId, verifyingContract, user, amount, nonce, deadline }) {
+  const types = META_TX_TYPES[action];
+  if (!types) {
+    throw new Error(`Unknown Vester action: ${action}`);
+  }
+
+  const message = action === "claim"
+    ? { user, nonce, deadline }
+    : { user, amount, nonce, deadline };
+
+  return {
+    domain: {
+      name: VESTER_DOMAIN_NAME,
+      version: VESTER_DOMAIN_VERSION,
+      chainId,
+      verifyingContract,
+    },
+    types,
+    message,
+  };
+}
+
+/**
+ * @notice Reads the chain id and the user's nonce, then signs an intent with the given signer
+ * @dev `user` defaults to the signer; pass a contract wallet address for EIP-1271 signing
+ * @return The intent arguments and signature, ready for the matching *WithSig call
+ */
+async function signMetaTx(signer, vester, action, { user, amount = 0n, deadline }) {
+  const account = user || (await signer.getAddress());
+  const { chainId } = await signer.provider.getNetwork();
+
+  const { domain, types, message } = buildMetaTxTypedData({
+    action,
+    chainId,
+    verifyingContract: await vester.getAddress(),
+    user: account,
+    amount,
+    nonce: await vester.nonces(account),
+    deadline,
+  });
+
+  const signature = await signer.signTypedData(domain, types, message);
+
+  return { action, user: account, amount, deadline, nonce: message.nonce, signature };
+}
+
+/**
+ * @notice Prints a separator line
+ */
+function separator() {
+  console.log("=".repeat(70));
+}
+
+// ============ Main Function ============
+
+async function main() {
+  const hre = require("hardhat");
+  const [signer] = await hre.ethers.getSigners();
+  const network = hre.network.name;
+
+  const action = process.env.VESTER_ACTION;
+  if (!META_TX_TYPES[action]) {
+    throw new Error("VESTER_ACTION must be one of: deposit, claim, withdraw");
+  }
+
+  let amount = 0n;
+  if (action !== "claim") {
+    const value = process.env.VESTER_AMOUNT;
+    if (!value) {
+      throw new Error("VESTER_AMOUNT must be set for deposit and withdraw");
+    }
+    amount = action === "withdraw" && value === "all" ? MaxUint256 : hre.ethers.parseEther(value);
+  }
+
+  const deadline = process.env.VESTER_DEADLINE
+    ? BigInt(process.env.VESTER_DEADLINE)
+    : BigInt(Math.floor(Date.now() / 1000) + DEFAULT_DEADLINE_SECONDS);
+
+  const deployment = loadDeployment(network, ["Vester"]);
+  const vester = await hre.ethers.getContractAt("Vester", deployment.Vester);
+
+  const intent = await signMetaTx(signer, vester, action, {
+    user: process.env.VESTER_USER,
+    amount,
+    deadline,
+  });
+
+  separator();
+  console.log("✍️  Vester Meta-Transaction Signature");
+  separator();
+  console.log("Network:  ", network);
+  console.log("Vester:   ", deployment.Vester);
+  console.log("Action:   ", intent.action);
+  console.log("User:     ", intent.user);
+  console.log("Signer:   ", await signer.getAddress());
+  if (action !== "claim") {
+    console.log("Amount:   ", intent.amount === MaxUint256 ? "all" : intent.amount.toString());
+  }
+  console.log("Nonce:    ", intent.nonce.toString());
+  console.log("Deadline: ", intent.deadline.toString());
+  separator();
+  console.log("Signature:", intent.signature);
+  separator();
+}
+
+// ============ Execute ============
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Meta-transaction signing failed:");
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  META_TX_TYPES,
+  buildMetaTxTypedData,
+  signMetaTx,
+};
@@ -6,7 +6,7 @@
 
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 
 describe("EsMPD", function () {
   
@@ -16,24 +16,24 @@ describe("EsMPD", function () {
    * @notice Deploys EsMPD and returns test accounts
    */
   async function deployEsMPDFixture() {
-    const [owner, minter, user, otherUser] = await ethers.getSigners();
+    const [owner, minter, user, otherUser, handler] = await ethers.getSigners();
 
     const EsMPD = await ethers.getContractFactory("EsMPD");
     const esMPD = await EsMPD.deploy(owner.address);
 
-    return { esMPD, owner, minter, user, otherUser };
+    return { esMPD, owner, minter, user, otherUser, handler };
   }
 
   /**
    * @notice Deploys EsMPD with minter already set up
    */
   async function deployWithMinterFixture() {
-    const { esMPD, owner, minter, user, otherUser } = await loadFixture(deployEsMPDFixture);
+    const { esMPD, owner, minter, user, otherUser, handler } = await loadFixture(deployEsMPDFixture);
 
     // Set up minter
     await esMPD.connect(owner).setMinter(minter.address, true);
 
-    return { esMPD, owner, minter, user, otherUser };
+    return { esMPD, owner, minter, user, otherUser, handler };
   }
 
   // ============ 1. Deployment Tests ============
@@ -442,6 +442,128 @@ describe("EsMPD", function () {
         expect(await esMPD.balanceOf(otherUser.address)).to.equal(0);
       });
     });
+
+    describe("Handler Transfers", function () {
+      /**
+       * @notice Deploys EsMPD with a minter, an approved handler and a funded user
+       */
+      async function deployWithHandlerFixture() {
+        const { esMPD, owner, minter, user, otherUser, handler } = await loadFixture(deployWithMinterFixture);
+        const mintAmount = ethers.parseEther("1000");
+
+        await esMPD.connect(owner).setHandler(handler.address, true);
+        await esMPD.connect(minter).mint(user.address, mintAmount);
+
+        return { esMPD, owner, minter, user, otherUser, handler, mintAmount };
+      }
+
+      it("Should allow owner to set and unset a handler", async function () {
+        const { esMPD, owner, handler } = await loadFixture(deployEsMPDFixture);
+
+        await expect(esMPD.connect(owner).setHandler(handler.address, true))
+          .to.emit(esMPD, "HandlerSet")
+          .withArgs(handler.address, true);
+        expect(await esMPD.isHandler(handler.address)).to.be.true;
+
+        await expect(esMPD.connect(owner).setHandler(handler.address, false))
+          .to.emit(esMPD, "HandlerSet")
+          .withArgs(handler.address, false);
+        expect(await esMPD.isHandler(handler.address)).to.be.false;
+      });
+
+      it("Should revert when non-owner calls setHandler", async function () {
+        const { esMPD, user, handler } = await loadFixture(deployEsMPDFixture);
+
+        await expect(
+          esMPD.connect(user).setHandler(handler.address, true)
+        ).to.be.revertedWithCustomError(esMPD, "OwnableUnauthorizedAccount")
+          .withArgs(user.address);
+      });
+
+      it("Should revert when setting zero address as handler", async function () {
+        const { esMPD, owner } = await loadFixture(deployEsMPDFixture);
+
+        await expect(
+          esMPD.connect(owner).setHandler(ethers.ZeroAddress, true)
+        ).to.be.revertedWithCustomError(esMPD, "ZeroAddress");
+      });
+
+      it("Should allow handler to transferFrom without allowance", async function () {
+        const { esMPD, user, otherUser, handler } = await loadFixture(deployWithHandlerFixture);
+        const transferAmount = ethers.parseEther("400");
+
+        expect(await esMPD.allowance(user.address, handler.address)).to.equal(0);
+
+        await expect(
+          esMPD.connect(handler).transferFrom(user.address, otherUser.address, transferAmount)
+        ).to.emit(esMPD, "Transfer")
+          .withArgs(user.address, otherUser.address, transferAmount);
+
+        expect(await esMPD.balanceOf(otherUser.address)).to.equal(transferAmount);
+      });
+
+      it("Should not consume allowance when handler uses transferFrom", async function () {
+        const { esMPD, user, otherUser, handler } = await loadFixture(deployWithHandlerFixture);
+        const approvalAmount = ethers.parseEther("100");
+
+        await esMPD.connect(user).approve(handler.address, approvalAmount);
+        await esMPD.connect(handler).transferFrom(user.address, otherUser.address, approvalAmount);
+
+        expect(await esMPD.allowance(user.address, handler.address)).to.equal(approvalAmount);
+      });
+
+      it("Should allow handler to move esMPD into itself (e.g. staking tracker)", async function () {
+        const { esMPD, user, handler, mintAmount } = await loadFixture(deployWithHandlerFixture);
+
+        await esMPD.connect(handler).transferFrom(user.address, handler.address, mintAmount);
+
+        expect(await esMPD.balanceOf(handler.address)).to.equal(mintAmount);
+        expect(await esMPD.balanceOf(user.address)).to.equal(0);
+      });
+
+      it("Should allow handler to transfer its own balance", async function () {
+        const { esMPD, user, otherUser, handler, mintAmount } = await loadFixture(deployWithHandlerFixture);
+
+        await esMPD.connect(handler).transferFrom(user.address, handler.address, mintAmount);
+        await esMPD.connect(handler).transfer(otherUser.address, mintAmount);
+
+        expect(await esMPD.balanceOf(otherUser.address)).to.equal(mintAmount);
+      });
+
+      it("Should revert when handler moves more than the account balance", async function () {
+        const { esMPD, user, otherUser, handler, mintAmount } = await loadFixture(deployWithHandlerFixture);
+
+        await expect(
+          esMPD.connect(handler).transferFrom(user.address, otherUser.address, mintAmount + 1n)
+        ).to.be.revertedWithCustomError(esMPD, "ERC20InsufficientBalance");
+      });
+
+      it("Should still block user-initiated transfers when handlers exist", async function () {
+        const { esMPD, user, otherUser, handler } = await loadFixture(deployWithHandlerFixture);
+        const transferAmount = ethers.parseEther("100");
+
+        await expect(
+          esMPD.connect(user).transfer(handler.address, transferAmount)
+        ).to.be.revertedWithCustomError(esMPD, "TransfersDisabled");
+
+        await esMPD.connect(user).approve(otherUser.address, transferAmount);
+        await expect(
+          esMPD.connect(otherUser).transferFrom(user.address, otherUser.address, transferAmount)
+        ).to.be.revertedWithCustomError(esMPD, "TransfersDisabled");
+      });
+
+      it("Should block transfers from a revoked handler", async function () {
+        const { esMPD, owner, user, otherUser, handler } = await loadFixture(deployWithHandlerFixture);
+        const transferAmount = ethers.parseEther("100");
+
+        await esMPD.connect(owner).setHandler(handler.address, false);
+
+        await esMPD.connect(user).approve(handler.address, transferAmount);
+        await expect(
+          esMPD.connect(handler).transferFrom(user.address, otherUser.address, transferAmount)
+        ).to.be.revertedWithCustomError(esMPD, "TransfersDisabled");
+      });
+    });
   });
 
   // ============ 6. Event Tests ============
@@ -501,5 +623,253 @@ describe("EsMPD", function () {
         .withArgs(user.address, otherUser.address, approvalAmount);
     });
   });
+
+  // ============ 7. Mint Rate Limit Tests ============
+
+  describe("Mint Rate Limits", function () {
+    const ONE_DAY = 24 * 60 * 60;
+    const WINDOW_CAP = ethers.parseEther("1000");
+    const LIFETIME_CAP = ethers.parseEther("2500");
+    const ONE_BUCKET = ONE_DAY / 24;
+
+    /**
+     * @notice Deploys EsMPD with a rate-limited minter
+     */
+    async function deployWithLimitsFixture() {
+      const { esMPD, owner, minter, user, otherUser } = await loadFixture(deployWithMinterFixture);
+
+      await esMPD.connect(owner).setMintLimits(minter.address, WINDOW_CAP, ONE_DAY, LIFETIME_CAP);
+
+      return { esMPD, owner, minter, user, otherUser };
+    }
+
+    it("Should allow unlimited minting when no limits are configured", async function () {
+      const { esMPD, minter, user } = await loadFixture(deployWithMinterFixture);
+      const mintAmount = ethers.parseEther("1000000");
+
+      await esMPD.connect(minter).mint(user.address, mintAmount);
+
+      expect(await esMPD.remainingWindowMint(minter.address)).to.equal(ethers.MaxUint256);
+      expect(await esMPD.remainingLifetimeMint(minter.address)).to.equal(ethers.MaxUint256);
+      expect(await esMPD.remainingMintCapacity(minter.address)).to.equal(ethers.MaxUint256);
+    });
+
+    it("Should allow owner to set mint limits", async function () {
+      const { esMPD, owner, minter } = await loadFixture(deployWithMinterFixture);
+
+      await expect(esMPD.connect(owner).setMintLimits(minter.address, WINDOW_CAP, ONE_DAY, LIFETIME_CAP))
+        .to.emit(esMPD, "MintLimitsSet")
+        .withArgs(minter.address, WINDOW_CAP, ONE_DAY, LIFETIME_CAP);
+
+      const limit = await esMPD.mintLimits(minter.address);
+      expect(limit.windowCap).to.equal(WINDOW_CAP);
+      expect(limit.windowDuration).to.equal(ONE_DAY);
+      expect(limit.lifetimeCap).to.equal(LIFETIME_CAP);
+    });
+
+    it("Should revert when non-owner sets mint limits", async function () {
+      const { esMPD, minter, user } = await loadFixture(deployWithMinterFixture);
+
+      await expect(
+        esMPD.connect(user).setMintLimits(minter.address, WINDOW_CAP, ONE_DAY, LIFETIME_CAP)
+      ).to.be.revertedWithCustomError(esMPD, "OwnableUnauthorizedAccount")
+        .withArgs(user.address);
+    });
+
+    it("Should revert when setting mint limits for zero address", async function () {
+      const { esMPD, owner } = await loadFixture(deployWithMinterFixture);
+
+      await expect(
+        esMPD.connect(owner).setMintLimits(ethers.ZeroAddress, WINDOW_CAP, ONE_DAY, LIFETIME_CAP)
+      ).to.be.revertedWithCustomError(esMPD, "ZeroAddress");
+    });
+
+    it("Should revert when setting a window cap without a window duration", async function () {
+      const { esMPD, owner, minter } = await loadFixture(deployWithMinterFixture);
+
+      await expect(
+        esMPD.connect(owner).setMintLimits(minter.address, WINDOW_CAP, 0, LIFETIME_CAP)
+      ).to.be.revertedWithCustomError(esMPD, "InvalidMintLimits");
+    });
+
+    it("Should allow minting up to the window cap", async function () {
+      const { esMPD, minter, user } = await loadFixture(deployWithLimitsFixture);
+
+      await esMPD.connect(minter).mint(user.address, WINDOW_CAP);
+
+      expect(await esMPD.balanceOf(user.address)).to.equal(WINDOW_CAP);
+      expect(await esMPD.remainingWindowMint(minter.address)).to.equal(0);
+    });
+
+    it("Should revert with MintWindowLimitExceeded when window cap is exceeded", async function () {
+      const { esMPD, minter, user } = await loadFixture(deployWithLimitsFixture);
+      const firstMint = ethers.parseEther("600");
+      const secondMint = ethers.parseEther("500");
+
+      await esMPD.connect(minter).mint(user.address, firstMint);
+
+      await expect(
+        esMPD.connect(minter).mint(user.address, secondMint)
+      ).to.be.revertedWithCustomError(esMPD, "MintWindowLimitExceeded")
+        .withArgs(secondMint, WINDOW_CAP - firstMint);
+    });
+
+    it("Should free capacity only once a mint leaves the rolling window", async function () {
+      const { esMPD, minter, user } = await loadFixture(deployWithLimitsFixture);
+      const firstMint = ethers.parseEther("400");
+      const secondMint = ethers.parseEther("600");
+
+      await esMPD.connect(minter).mint(user.address, firstMint);
+      await time.increase(ONE_DAY / 2);
+      await esMPD.connect(minter).mint(user.address, secondMint);
+
+      await time.increase(ONE_DAY / 2 - ONE_BUCKET);
+      expect(await esMPD.remainingWindowMint(minter.address)).to.equal(0);
+
+      // The first mint's bucket drops out within one bucket after a full window
+      await time.increase(ONE_BUCKET * 2);
+      expect(await esMPD.remainingWindowMint(minter.address)).to.equal(firstMint);
+    });
+
+    it("Should not allow a second cap within one window of the first", async function () {
+      const { esMPD, minter, user } = await loadFixture(deployWithLimitsFixture);
+
+      await esMPD.connect(minter).mint(user.address, WINDOW_CAP);
+      const start = await time.latest();
+
+      await time.setNextBlockTimestamp(start + ONE_DAY - 60);
+      await expect(
+        esMPD.connect(minter).mint(user.address, WINDOW_CAP - 1n)
+      ).to.be.revertedWithCustomError(esMPD, "MintWindowLimitExceeded")
+        .withArgs(WINDOW_CAP - 1n, 0);
+    });
+
+    it("Should never mint more than the cap in any window-length span", async function () {
+      const { esMPD, owner, minter, user } = await loadFixture(deployWithLimitsFixture);
+      const mints = [];
+
+      await esMPD.connect(owner).setMintLimits(minter.address, WINDOW_CAP, ONE_DAY, 0);
+
+      // A compromised key minting everything it can, every 20 minutes for three days
+      for (let step = 0; step < 3 * 72; step++) {
+        await time.increase(ONE_DAY / 72);
+        const available = await esMPD.remainingWindowMint(minter.address);
+        if (available > 0n) {
+          await esMPD.connect(minter).mint(user.address, available);
+          mints.push({ timestamp: await time.latest(), amount: available });
+        }
+      }
+
+      let worstWindowTotal = 0n;
+      for (const end of mints) {
+        const windowTotal = mints
+          .filter((mint) => mint.timestamp > end.timestamp - ONE_DAY && mint.timestamp <= end.timestamp)
+          .reduce((total, mint) => total + mint.amount, 0n);
+        if (windowTotal > worstWindowTotal) worstWindowTotal = windowTotal;
+      }
+
+      expect(worstWindowTotal).to.equal(WINDOW_CAP);
+    });
+
+    it("Should keep window usage when only the caps change", async function () {
+      const { esMPD, owner, minter, user } = await loadFixture(deployWithLimitsFixture);
+
+      await esMPD.connect(minter).mint(user.address, WINDOW_CAP);
+      await esMPD.connect(owner).setMintLimits(minter.address, WINDOW_CAP * 2n, ONE_DAY, LIFETIME_CAP);
+
+      expect(await esMPD.remainingWindowMint(minter.address)).to.equal(WINDOW_CAP);
+    });
+
+    it("Should clear window usage when the window duration changes", async function () {
+      const { esMPD, owner, minter, user } = await loadFixture(deployWithLimitsFixture);
+
+      await esMPD.connect(minter).mint(user.address, WINDOW_CAP);
+      await esMPD.connect(owner).setMintLimits(minter.address, WINDOW_CAP, ONE_DAY * 7, LIFETIME_CAP);
+
+      expect(await esMPD.remainingWindowMint(minter.address)).to.equal(WINDOW_CAP);
+    });
+
+    it("Should restore window capacity after the window elapses", async function () {
+      const { esMPD, minter, user } = await loadFixture(deployWithLimitsFixture);
+
+      await esMPD.connect(minter).mint(user.address, WINDOW_CAP);
+
+      // Allow for the oldest bucket being only partly inside the window
+      await time.increase(ONE_DAY + ONE_BUCKET);
+
+      expect(await esMPD.remainingWindowMint(minter.address)).to.equal(WINDOW_CAP);
+      await esMPD.connect(minter).mint(user.address, WINDOW_CAP);
+      expect(await esMPD.balanceOf(user.address)).to.equal(WINDOW_CAP * 2n);
+    });
+
+    it("Should revert with LifetimeMintLimitExceeded when lifetime allowance is exhausted", async function () {
+      const { esMPD, minter, user } = await loadFixture(deployWithLimitsFixture);
+
+      // Use 2000 of the 2500 lifetime allowance across two windows
+      await esMPD.connect(minter).mint(user.address, WINDOW_CAP);
+      await time.increase(ONE_DAY + ONE_BUCKET);
+      await esMPD.connect(minter).mint(user.address, WINDOW_CAP);
+      await time.increase(ONE_DAY + ONE_BUCKET);
+
+      const remaining = LIFETIME_CAP - WINDOW_CAP * 2n;
+      expect(await esMPD.remainingLifetimeMint(minter.address)).to.equal(remaining);
+      expect(await esMPD.remainingMintCapacity(minter.address)).to.equal(remaining);
+
+      await expect(
+        esMPD.connect(minter).mint(user.address, WINDOW_CAP)
+      ).to.be.revertedWithCustomError(esMPD, "LifetimeMintLimitExceeded")
+        .withArgs(WINDOW_CAP, remaining);
+    });
+
+    it("Should report remaining capacity as the lower of window and lifetime", async function () {
+      const { esMPD, minter, user } = await loadFixture(deployWithLimitsFixture);
+      const mintAmount = ethers.parseEther("400");
+
+      await esMPD.connect(minter).mint(user.address, mintAmount);
+
+      expect(await esMPD.remainingWindowMint(minter.address)).to.equal(WINDOW_CAP - mintAmount);
+      expect(await esMPD.remainingLifetimeMint(minter.address)).to.equal(LIFETIME_CAP - mintAmount);
+      expect(await esMPD.remainingMintCapacity(minter.address)).to.equal(WINDOW_CAP - mintAmount);
+    });
+
+    it("Should track limits independently per minter", async function () {
+      const { esMPD, owner, minter, user, otherUser } = await loadFixture(deployWithLimitsFixture);
+
+      // otherUser is an unlimited minter
+      await esMPD.connect(owner).setMinter(otherUser.address, true);
+
+      await esMPD.connect(minter).mint(user.address, WINDOW_CAP);
+      await esMPD.connect(otherUser).mint(user.address, WINDOW_CAP * 10n);
+
+      expect(await esMPD.remainingWindowMint(minter.address)).to.equal(0);
+      expect(await esMPD.remainingWindowMint(otherUser.address)).to.equal(ethers.MaxUint256);
+    });
+
+    it("Should keep usage when limits are updated", async function () {
+      const { esMPD, owner, minter, user } = await loadFixture(deployWithLimitsFixture);
+      const mintAmount = ethers.parseEther("800");
+
+      await esMPD.connect(minter).mint(user.address, mintAmount);
+
+      // Lowering the lifetime cap below usage blocks further minting
+      await esMPD.connect(owner).setMintLimits(minter.address, WINDOW_CAP, ONE_DAY, mintAmount);
+
+      expect(await esMPD.remainingLifetimeMint(minter.address)).to.equal(0);
+      await expect(
+        esMPD.connect(minter).mint(user.address, 1)
+      ).to.be.revertedWithCustomError(esMPD, "LifetimeMintLimitExceeded")
+        .withArgs(1, 0);
+    });
+
+    it("Should not count burns against mint limits", async function () {
+      const { esMPD, minter, user } = await loadFixture(deployWithLimitsFixture);
+      const mintAmount = ethers.parseEther("500");
+
+      await esMPD.connect(minter).mint(user.address, mintAmount);
+      await esMPD.connect(minter).burn(user.address, mintAmount);
+
+      expect(await esMPD.remainingWindowMint(minter.address)).to.equal(WINDOW_CAP - mintAmount);
+    });
+  });
 });
 
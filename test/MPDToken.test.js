@@ -6,9 +6,14 @@
 
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { buildPermitTypedData, signPermit } = require("../scripts/permit");
 
 describe("MPDToken", function () {
+
+  // ============ Constants ============
+
+  const MAX_SUPPLY = ethers.parseEther("100000000"); // 100M MPD
   
   // ============ Test Fixture ============
 
@@ -16,12 +21,24 @@ describe("MPDToken", function () {
    * @notice Deploys MPDToken and returns test accounts
    */
   async function deployMPDTokenFixture() {
-    const [owner, user, recipient] = await ethers.getSigners();
+    const [owner, user, recipient, minter] = await ethers.getSigners();
 
     const MPDToken = await ethers.getContractFactory("MPDToken");
-    const mpdToken = await MPDToken.deploy(owner.address);
+    const mpdToken = await MPDToken.deploy(owner.address, MAX_SUPPLY);
 
-    return { mpdToken, owner, user, recipient };
+    return { mpdToken, owner, user, recipient, minter };
+  }
+
+  /**
+   * @notice Deploys MPDToken with minter already set up
+   */
+  async function deployWithMinterFixture() {
+    const { mpdToken, owner, user, recipient, minter } = await loadFixture(deployMPDTokenFixture);
+
+    // Set up minter
+    await mpdToken.connect(owner).setMinter(minter.address, true);
+
+    return { mpdToken, owner, user, recipient, minter };
   }
 
   // ============ 1. Deployment Tests ============
@@ -56,67 +73,75 @@ describe("MPDToken", function () {
 
       expect(await mpdToken.totalSupply()).to.equal(0);
     });
+
+    it("Should have no minters active initially", async function () {
+      const { mpdToken, owner, user, minter } = await loadFixture(deployMPDTokenFixture);
+
+      expect(await mpdToken.isMinter(owner.address)).to.be.false;
+      expect(await mpdToken.isMinter(user.address)).to.be.false;
+      expect(await mpdToken.isMinter(minter.address)).to.be.false;
+    });
   });
 
   // ============ 2. Minting Tests ============
 
   describe("Minting", function () {
-    it("Should allow owner to mint tokens to any address", async function () {
-      const { mpdToken, owner, user } = await loadFixture(deployMPDTokenFixture);
+    it("Should allow minter to mint tokens to any address", async function () {
+      const { mpdToken, minter, user } = await loadFixture(deployWithMinterFixture);
       const mintAmount = ethers.parseEther("1000");
 
-      await mpdToken.connect(owner).mint(user.address, mintAmount);
+      await mpdToken.connect(minter).mint(user.address, mintAmount);
 
       expect(await mpdToken.balanceOf(user.address)).to.equal(mintAmount);
     });
 
     it("Should increase total supply when minting", async function () {
-      const { mpdToken, owner, user } = await loadFixture(deployMPDTokenFixture);
+      const { mpdToken, minter, user } = await loadFixture(deployWithMinterFixture);
       const mintAmount = ethers.parseEther("5000");
 
       const supplyBefore = await mpdToken.totalSupply();
-      await mpdToken.connect(owner).mint(user.address, mintAmount);
+      await mpdToken.connect(minter).mint(user.address, mintAmount);
       const supplyAfter = await mpdToken.totalSupply();
 
       expect(supplyAfter).to.equal(supplyBefore + mintAmount);
     });
 
     it("Should credit minted tokens to recipient", async function () {
-      const { mpdToken, owner, user, recipient } = await loadFixture(deployMPDTokenFixture);
+      const { mpdToken, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
       const mintAmount = ethers.parseEther("2500");
 
       const balanceBefore = await mpdToken.balanceOf(recipient.address);
-      await mpdToken.connect(owner).mint(recipient.address, mintAmount);
+      await mpdToken.connect(minter).mint(recipient.address, mintAmount);
       const balanceAfter = await mpdToken.balanceOf(recipient.address);
 
       expect(balanceAfter).to.equal(balanceBefore + mintAmount);
     });
 
     it("Should allow multiple mints to same address", async function () {
-      const { mpdToken, owner, user } = await loadFixture(deployMPDTokenFixture);
+      const { mpdToken, minter, user } = await loadFixture(deployWithMinterFixture);
       const firstMint = ethers.parseEther("1000");
       const secondMint = ethers.parseEther("500");
 
-      await mpdToken.connect(owner).mint(user.address, firstMint);
-      await mpdToken.connect(owner).mint(user.address, secondMint);
+      await mpdToken.connect(minter).mint(user.address, firstMint);
+      await mpdToken.connect(minter).mint(user.address, secondMint);
 
       expect(await mpdToken.balanceOf(user.address)).to.equal(firstMint + secondMint);
     });
 
     it("Should reject minting to zero address", async function () {
-      const { mpdToken, owner } = await loadFixture(deployMPDTokenFixture);
+      const { mpdToken, minter } = await loadFixture(deployWithMinterFixture);
       const mintAmount = ethers.parseEther("1000");
 
       await expect(
-        mpdToken.connect(owner).mint(ethers.ZeroAddress, mintAmount)
+        mpdToken.connect(minter).mint(ethers.ZeroAddress, mintAmount)
       ).to.be.revertedWith("MPDToken: mint to zero address");
     });
 
     it("Should reject minting zero amount", async function () {
-      const { mpdToken, owner, user } = await loadFixture(deployMPDTokenFixture);
+      const { mpdToken, minter, user } = await loadFixture(deployWithMinterFixture);
 
       await expect(
-        mpdToken.connect(owner).mint(user.address, 0)
+        mpdToken.connect(minter).mint(user.address, 0)
       ).to.be.revertedWith("MPDToken: mint amount must be greater than zero");
     });
   });
@@ -124,40 +149,103 @@ describe("MPDToken", function () {
   // ============ 3. Mint Permission Tests ============
 
   describe("Mint Permission", function () {
-    it("Should reject minting from non-owner", async function () {
-      const { mpdToken, user, recipient } = await loadFixture(deployMPDTokenFixture);
-      const mintAmount = ethers.parseEther("1000");
+    it("Should allow owner to activate a minter", async function () {
+      const { mpdToken, owner, minter } = await loadFixture(deployMPDTokenFixture);
+
+      await mpdToken.connect(owner).setMinter(minter.address, true);
+
+      expect(await mpdToken.isMinter(minter.address)).to.be.true;
+    });
+
+    it("Should emit MinterSet event when setting and unsetting minter", async function () {
+      const { mpdToken, owner, minter } = await loadFixture(deployMPDTokenFixture);
+
+      await expect(mpdToken.connect(owner).setMinter(minter.address, true))
+        .to.emit(mpdToken, "MinterSet")
+        .withArgs(minter.address, true);
+
+      await expect(mpdToken.connect(owner).setMinter(minter.address, false))
+        .to.emit(mpdToken, "MinterSet")
+        .withArgs(minter.address, false);
+    });
+
+    it("Should revert when non-owner calls setMinter", async function () {
+      const { mpdToken, user, minter } = await loadFixture(deployMPDTokenFixture);
 
       await expect(
-        mpdToken.connect(user).mint(recipient.address, mintAmount)
+        mpdToken.connect(user).setMinter(minter.address, true)
       ).to.be.revertedWithCustomError(mpdToken, "OwnableUnauthorizedAccount")
         .withArgs(user.address);
     });
 
-    it("Should reject minting from any non-owner address", async function () {
-      const { mpdToken, recipient } = await loadFixture(deployMPDTokenFixture);
+    it("Should revert when setting zero address as minter", async function () {
+      const { mpdToken, owner } = await loadFixture(deployMPDTokenFixture);
+
+      await expect(
+        mpdToken.connect(owner).setMinter(ethers.ZeroAddress, true)
+      ).to.be.revertedWith("MPDToken: minter is zero address");
+    });
+
+    it("Should reject minting from non-minter", async function () {
+      const { mpdToken, user, recipient } = await loadFixture(deployWithMinterFixture);
       const mintAmount = ethers.parseEther("1000");
 
       await expect(
-        mpdToken.connect(recipient).mint(recipient.address, mintAmount)
-      ).to.be.revertedWithCustomError(mpdToken, "OwnableUnauthorizedAccount")
-        .withArgs(recipient.address);
+        mpdToken.connect(user).mint(recipient.address, mintAmount)
+      ).to.be.revertedWith("MPDToken: caller is not a minter");
     });
 
-    it("Should allow only owner to mint after ownership transfer", async function () {
-      const { mpdToken, owner, user, recipient } = await loadFixture(deployMPDTokenFixture);
+    it("Should reject minting from owner that is not a minter", async function () {
+      const { mpdToken, owner, recipient } = await loadFixture(deployWithMinterFixture);
+      const mintAmount = ethers.parseEther("1000");
+
+      // Admin role is separate from minting
+      await expect(
+        mpdToken.connect(owner).mint(recipient.address, mintAmount)
+      ).to.be.revertedWith("MPDToken: caller is not a minter");
+    });
+
+    it("Should reject minting from a revoked minter", async function () {
+      const { mpdToken, owner, minter, recipient } = await loadFixture(deployWithMinterFixture);
+      const mintAmount = ethers.parseEther("1000");
+
+      await mpdToken.connect(owner).setMinter(minter.address, false);
+
+      await expect(
+        mpdToken.connect(minter).mint(recipient.address, mintAmount)
+      ).to.be.revertedWith("MPDToken: caller is not a minter");
+    });
+
+    it("Should allow multiple minters to mint independently", async function () {
+      const { mpdToken, owner, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
+      const mintAmount = ethers.parseEther("1000");
+
+      await mpdToken.connect(owner).setMinter(user.address, true);
+
+      await mpdToken.connect(minter).mint(recipient.address, mintAmount);
+      await mpdToken.connect(user).mint(recipient.address, mintAmount);
+      expect(await mpdToken.balanceOf(recipient.address)).to.equal(mintAmount * 2n);
+
+      // Revoking one minter does not affect the other
+      await mpdToken.connect(owner).setMinter(user.address, false);
+      await mpdToken.connect(minter).mint(recipient.address, mintAmount);
+      expect(await mpdToken.balanceOf(recipient.address)).to.equal(mintAmount * 3n);
+    });
+
+    it("Should keep minters after ownership transfer", async function () {
+      const { mpdToken, owner, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
       const mintAmount = ethers.parseEther("1000");
 
       // Transfer ownership to user
       await mpdToken.connect(owner).transferOwnership(user.address);
 
-      // Original owner should no longer be able to mint
+      // Original owner should no longer manage minters
       await expect(
-        mpdToken.connect(owner).mint(recipient.address, mintAmount)
+        mpdToken.connect(owner).setMinter(recipient.address, true)
       ).to.be.revertedWithCustomError(mpdToken, "OwnableUnauthorizedAccount");
 
-      // New owner should be able to mint
-      await mpdToken.connect(user).mint(recipient.address, mintAmount);
+      // Existing minter should still be able to mint
+      await mpdToken.connect(minter).mint(recipient.address, mintAmount);
       expect(await mpdToken.balanceOf(recipient.address)).to.equal(mintAmount);
     });
   });
@@ -166,12 +254,12 @@ describe("MPDToken", function () {
 
   describe("Transfers", function () {
     it("Should allow user to transfer tokens to another address", async function () {
-      const { mpdToken, owner, user, recipient } = await loadFixture(deployMPDTokenFixture);
+      const { mpdToken, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
       const mintAmount = ethers.parseEther("1000");
       const transferAmount = ethers.parseEther("300");
 
       // Mint tokens to user first
-      await mpdToken.connect(owner).mint(user.address, mintAmount);
+      await mpdToken.connect(minter).mint(user.address, mintAmount);
 
       // Transfer from user to recipient
       await mpdToken.connect(user).transfer(recipient.address, transferAmount);
@@ -180,11 +268,11 @@ describe("MPDToken", function () {
     });
 
     it("Should update balances correctly after transfer", async function () {
-      const { mpdToken, owner, user, recipient } = await loadFixture(deployMPDTokenFixture);
+      const { mpdToken, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
       const mintAmount = ethers.parseEther("1000");
       const transferAmount = ethers.parseEther("400");
 
-      await mpdToken.connect(owner).mint(user.address, mintAmount);
+      await mpdToken.connect(minter).mint(user.address, mintAmount);
 
       const userBalanceBefore = await mpdToken.balanceOf(user.address);
       const recipientBalanceBefore = await mpdToken.balanceOf(recipient.address);
@@ -199,11 +287,11 @@ describe("MPDToken", function () {
     });
 
     it("Should not change total supply after transfer", async function () {
-      const { mpdToken, owner, user, recipient } = await loadFixture(deployMPDTokenFixture);
+      const { mpdToken, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
       const mintAmount = ethers.parseEther("1000");
       const transferAmount = ethers.parseEther("500");
 
-      await mpdToken.connect(owner).mint(user.address, mintAmount);
+      await mpdToken.connect(minter).mint(user.address, mintAmount);
 
       const supplyBefore = await mpdToken.totalSupply();
       await mpdToken.connect(user).transfer(recipient.address, transferAmount);
@@ -213,11 +301,11 @@ describe("MPDToken", function () {
     });
 
     it("Should revert when transferring more than balance", async function () {
-      const { mpdToken, owner, user, recipient } = await loadFixture(deployMPDTokenFixture);
+      const { mpdToken, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
       const mintAmount = ethers.parseEther("100");
       const transferAmount = ethers.parseEther("200");
 
-      await mpdToken.connect(owner).mint(user.address, mintAmount);
+      await mpdToken.connect(minter).mint(user.address, mintAmount);
 
       await expect(
         mpdToken.connect(user).transfer(recipient.address, transferAmount)
@@ -225,7 +313,7 @@ describe("MPDToken", function () {
     });
 
     it("Should revert when transferring with zero balance", async function () {
-      const { mpdToken, user, recipient } = await loadFixture(deployMPDTokenFixture);
+      const { mpdToken, user, recipient } = await loadFixture(deployWithMinterFixture);
       const transferAmount = ethers.parseEther("100");
 
       await expect(
@@ -234,10 +322,10 @@ describe("MPDToken", function () {
     });
 
     it("Should allow transfer of entire balance", async function () {
-      const { mpdToken, owner, user, recipient } = await loadFixture(deployMPDTokenFixture);
+      const { mpdToken, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
       const mintAmount = ethers.parseEther("1000");
 
-      await mpdToken.connect(owner).mint(user.address, mintAmount);
+      await mpdToken.connect(minter).mint(user.address, mintAmount);
       await mpdToken.connect(user).transfer(recipient.address, mintAmount);
 
       expect(await mpdToken.balanceOf(user.address)).to.equal(0);
@@ -245,10 +333,10 @@ describe("MPDToken", function () {
     });
 
     it("Should allow transfer of zero tokens", async function () {
-      const { mpdToken, owner, user, recipient } = await loadFixture(deployMPDTokenFixture);
+      const { mpdToken, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
       const mintAmount = ethers.parseEther("1000");
 
-      await mpdToken.connect(owner).mint(user.address, mintAmount);
+      await mpdToken.connect(minter).mint(user.address, mintAmount);
 
       // Transfer zero should succeed
       await expect(
@@ -261,29 +349,29 @@ describe("MPDToken", function () {
 
   describe("Events", function () {
     it("Should emit Transfer event when minting", async function () {
-      const { mpdToken, owner, user } = await loadFixture(deployMPDTokenFixture);
+      const { mpdToken, minter, user } = await loadFixture(deployWithMinterFixture);
       const mintAmount = ethers.parseEther("1000");
 
-      await expect(mpdToken.connect(owner).mint(user.address, mintAmount))
+      await expect(mpdToken.connect(minter).mint(user.address, mintAmount))
         .to.emit(mpdToken, "Transfer")
         .withArgs(ethers.ZeroAddress, user.address, mintAmount);
     });
 
     it("Should emit TokensMinted event when minting", async function () {
-      const { mpdToken, owner, user } = await loadFixture(deployMPDTokenFixture);
+      const { mpdToken, minter, user } = await loadFixture(deployWithMinterFixture);
       const mintAmount = ethers.parseEther("1000");
 
-      await expect(mpdToken.connect(owner).mint(user.address, mintAmount))
+      await expect(mpdToken.connect(minter).mint(user.address, mintAmount))
         .to.emit(mpdToken, "TokensMinted")
         .withArgs(user.address, mintAmount);
     });
 
     it("Should emit Transfer event when transferring", async function () {
-      const { mpdToken, owner, user, recipient } = await loadFixture(deployMPDTokenFixture);
+      const { mpdToken, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
       const mintAmount = ethers.parseEther("1000");
       const transferAmount = ethers.parseEther("500");
 
-      await mpdToken.connect(owner).mint(user.address, mintAmount);
+      await mpdToken.connect(minter).mint(user.address, mintAmount);
 
       await expect(mpdToken.connect(user).transfer(recipient.address, transferAmount))
         .to.emit(mpdToken, "Transfer")
@@ -291,7 +379,7 @@ describe("MPDToken", function () {
     });
 
     it("Should emit Approval event when approving", async function () {
-      const { mpdToken, owner, user, recipient } = await loadFixture(deployMPDTokenFixture);
+      const { mpdToken, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
       const approvalAmount = ethers.parseEther("500");
 
       await expect(mpdToken.connect(user).approve(recipient.address, approvalAmount))
@@ -300,11 +388,11 @@ describe("MPDToken", function () {
     });
 
     it("Should emit Transfer event when using transferFrom", async function () {
-      const { mpdToken, owner, user, recipient } = await loadFixture(deployMPDTokenFixture);
+      const { mpdToken, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
       const mintAmount = ethers.parseEther("1000");
       const approvalAmount = ethers.parseEther("500");
 
-      await mpdToken.connect(owner).mint(user.address, mintAmount);
+      await mpdToken.connect(minter).mint(user.address, mintAmount);
       await mpdToken.connect(user).approve(recipient.address, approvalAmount);
 
       await expect(
@@ -314,5 +402,528 @@ describe("MPDToken", function () {
         .withArgs(user.address, recipient.address, approvalAmount);
     });
   });
+
+  // ============ 6. Governance Voting Tests ============
+
+  describe("Voting Power", function () {
+    it("Should have no voting power without delegation", async function () {
+      const { mpdToken, minter, user } = await loadFixture(deployWithMinterFixture);
+      const mintAmount = ethers.parseEther("1000");
+
+      await mpdToken.connect(minter).mint(user.address, mintAmount);
+
+      expect(await mpdToken.getVotes(user.address)).to.equal(0);
+      expect(await mpdToken.delegates(user.address)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should grant voting power after self-delegation", async function () {
+      const { mpdToken, minter, user } = await loadFixture(deployWithMinterFixture);
+      const mintAmount = ethers.parseEther("1000");
+
+      await mpdToken.connect(minter).mint(user.address, mintAmount);
+
+      await expect(mpdToken.connect(user).delegate(user.address))
+        .to.emit(mpdToken, "DelegateChanged")
+        .withArgs(user.address, ethers.ZeroAddress, user.address);
+
+      expect(await mpdToken.getVotes(user.address)).to.equal(mintAmount);
+    });
+
+    it("Should checkpoint voting power on mint to a delegated account", async function () {
+      const { mpdToken, minter, user } = await loadFixture(deployWithMinterFixture);
+      const firstMint = ethers.parseEther("1000");
+      const secondMint = ethers.parseEther("500");
+
+      await mpdToken.connect(user).delegate(user.address);
+
+      await mpdToken.connect(minter).mint(user.address, firstMint);
+      const firstBlock = await ethers.provider.getBlockNumber();
+
+      await mpdToken.connect(minter).mint(user.address, secondMint);
+      const secondBlock = await ethers.provider.getBlockNumber();
+
+      await mine();
+
+      expect(await mpdToken.getPastVotes(user.address, firstBlock - 1)).to.equal(0);
+      expect(await mpdToken.getPastVotes(user.address, firstBlock)).to.equal(firstMint);
+      expect(await mpdToken.getPastVotes(user.address, secondBlock)).to.equal(firstMint + secondMint);
+      expect(await mpdToken.numCheckpoints(user.address)).to.equal(2);
+    });
+
+    it("Should checkpoint total supply on mint", async function () {
+      const { mpdToken, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
+      const mintAmount = ethers.parseEther("1000");
+
+      await mpdToken.connect(minter).mint(user.address, mintAmount);
+      const firstBlock = await ethers.provider.getBlockNumber();
+
+      await mpdToken.connect(minter).mint(recipient.address, mintAmount);
+      const secondBlock = await ethers.provider.getBlockNumber();
+
+      await mine();
+
+      // Total supply is checkpointed regardless of delegation
+      expect(await mpdToken.getPastTotalSupply(firstBlock - 1)).to.equal(0);
+      expect(await mpdToken.getPastTotalSupply(firstBlock)).to.equal(mintAmount);
+      expect(await mpdToken.getPastTotalSupply(secondBlock)).to.equal(mintAmount * 2n);
+    });
+
+    it("Should move voting power between delegates on transfer", async function () {
+      const { mpdToken, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
+      const mintAmount = ethers.parseEther("1000");
+      const transferAmount = ethers.parseEther("300");
+
+      await mpdToken.connect(minter).mint(user.address, mintAmount);
+      await mpdToken.connect(user).delegate(user.address);
+      await mpdToken.connect(recipient).delegate(recipient.address);
+      const beforeTransferBlock = await ethers.provider.getBlockNumber();
+
+      await mpdToken.connect(user).transfer(recipient.address, transferAmount);
+      const transferBlock = await ethers.provider.getBlockNumber();
+
+      await mine();
+
+      expect(await mpdToken.getVotes(user.address)).to.equal(mintAmount - transferAmount);
+      expect(await mpdToken.getVotes(recipient.address)).to.equal(transferAmount);
+
+      // Historical values are preserved
+      expect(await mpdToken.getPastVotes(user.address, beforeTransferBlock)).to.equal(mintAmount);
+      expect(await mpdToken.getPastVotes(recipient.address, beforeTransferBlock)).to.equal(0);
+      expect(await mpdToken.getPastVotes(user.address, transferBlock)).to.equal(mintAmount - transferAmount);
+      expect(await mpdToken.getPastVotes(recipient.address, transferBlock)).to.equal(transferAmount);
+    });
+
+    it("Should not change total supply checkpoint on transfer", async function () {
+      const { mpdToken, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
+      const mintAmount = ethers.parseEther("1000");
+
+      await mpdToken.connect(minter).mint(user.address, mintAmount);
+      await mpdToken.connect(user).transfer(recipient.address, mintAmount);
+      const transferBlock = await ethers.provider.getBlockNumber();
+
+      await mine();
+
+      expect(await mpdToken.getPastTotalSupply(transferBlock)).to.equal(mintAmount);
+    });
+
+    it("Should move voting power when changing delegate", async function () {
+      const { mpdToken, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
+      const mintAmount = ethers.parseEther("1000");
+
+      await mpdToken.connect(minter).mint(user.address, mintAmount);
+      await mpdToken.connect(user).delegate(user.address);
+      const selfDelegateBlock = await ethers.provider.getBlockNumber();
+
+      await expect(mpdToken.connect(user).delegate(recipient.address))
+        .to.emit(mpdToken, "DelegateVotesChanged")
+        .withArgs(user.address, mintAmount, 0);
+      const redelegateBlock = await ethers.provider.getBlockNumber();
+
+      await mine();
+
+      expect(await mpdToken.delegates(user.address)).to.equal(recipient.address);
+      expect(await mpdToken.getVotes(user.address)).to.equal(0);
+      expect(await mpdToken.getVotes(recipient.address)).to.equal(mintAmount);
+
+      expect(await mpdToken.getPastVotes(user.address, selfDelegateBlock)).to.equal(mintAmount);
+      expect(await mpdToken.getPastVotes(recipient.address, selfDelegateBlock)).to.equal(0);
+      expect(await mpdToken.getPastVotes(user.address, redelegateBlock)).to.equal(0);
+      expect(await mpdToken.getPastVotes(recipient.address, redelegateBlock)).to.equal(mintAmount);
+    });
+
+    it("Should credit delegate with tokens later received by delegator", async function () {
+      const { mpdToken, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
+      const mintAmount = ethers.parseEther("1000");
+
+      await mpdToken.connect(user).delegate(recipient.address);
+      await mpdToken.connect(minter).mint(user.address, mintAmount);
+
+      expect(await mpdToken.getVotes(recipient.address)).to.equal(mintAmount);
+      expect(await mpdToken.getVotes(user.address)).to.equal(0);
+    });
+
+    it("Should revert when querying votes for current or future block", async function () {
+      const { mpdToken, user } = await loadFixture(deployWithMinterFixture);
+      const currentBlock = await ethers.provider.getBlockNumber();
+
+      await expect(
+        mpdToken.getPastVotes(user.address, currentBlock + 1)
+      ).to.be.revertedWithCustomError(mpdToken, "ERC5805FutureLookup");
+
+      await expect(
+        mpdToken.getPastTotalSupply(currentBlock + 1)
+      ).to.be.revertedWithCustomError(mpdToken, "ERC5805FutureLookup");
+    });
+
+    it("Should use block number clock mode", async function () {
+      const { mpdToken } = await loadFixture(deployMPDTokenFixture);
+
+      expect(await mpdToken.CLOCK_MODE()).to.equal("mode=blocknumber&from=default");
+      expect(await mpdToken.clock()).to.equal(await ethers.provider.getBlockNumber());
+    });
+  });
+
+  // ============ 7. Permit Tests ============
+
+  describe("Permit", function () {
+    it("Should expose EIP-712 domain separator for MPD Token", async function () {
+      const { mpdToken } = await loadFixture(deployMPDTokenFixture);
+      const { chainId } = await ethers.provider.getNetwork();
+
+      const expected = ethers.TypedDataEncoder.hashDomain({
+        name: "MPD Token",
+        version: "1",
+        chainId,
+        verifyingContract: await mpdToken.getAddress(),
+      });
+
+      expect(await mpdToken.DOMAIN_SEPARATOR()).to.equal(expected);
+    });
+
+    it("Should start with zero nonce", async function () {
+      const { mpdToken, user } = await loadFixture(deployMPDTokenFixture);
+
+      expect(await mpdToken.nonces(user.address)).to.equal(0);
+    });
+
+    it("Should set allowance from a valid permit signature", async function () {
+      const { mpdToken, user, recipient } = await loadFixture(deployWithMinterFixture);
+      const value = ethers.parseEther("500");
+      const deadline = BigInt(await time.latest()) + 3600n;
+
+      const { v, r, s } = await signPermit(user, mpdToken, recipient.address, value, deadline);
+
+      // Anyone can submit the permit on the owner's behalf
+      await expect(mpdToken.connect(recipient).permit(user.address, recipient.address, value, deadline, v, r, s))
+        .to.emit(mpdToken, "Approval")
+        .withArgs(user.address, recipient.address, value);
+
+      expect(await mpdToken.allowance(user.address, recipient.address)).to.equal(value);
+      expect(await mpdToken.nonces(user.address)).to.equal(1);
+    });
+
+    it("Should allow spender to pull tokens after permit", async function () {
+      const { mpdToken, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
+      const value = ethers.parseEther("500");
+      const deadline = BigInt(await time.latest()) + 3600n;
+
+      await mpdToken.connect(minter).mint(user.address, value);
+
+      const { v, r, s } = await signPermit(user, mpdToken, recipient.address, value, deadline);
+      await mpdToken.connect(recipient).permit(user.address, recipient.address, value, deadline, v, r, s);
+      await mpdToken.connect(recipient).transferFrom(user.address, recipient.address, value);
+
+      expect(await mpdToken.balanceOf(recipient.address)).to.equal(value);
+    });
+
+    it("Should revert with expired deadline", async function () {
+      const { mpdToken, user, recipient } = await loadFixture(deployWithMinterFixture);
+      const value = ethers.parseEther("500");
+      const deadline = BigInt(await time.latest()) + 60n;
+
+      const { v, r, s } = await signPermit(user, mpdToken, recipient.address, value, deadline);
+
+      await time.increase(120);
+
+      await expect(
+        mpdToken.permit(user.address, recipient.address, value, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(mpdToken, "ERC2612ExpiredSignature")
+        .withArgs(deadline);
+    });
+
+    it("Should revert when replaying a used permit", async function () {
+      const { mpdToken, user, recipient } = await loadFixture(deployWithMinterFixture);
+      const value = ethers.parseEther("500");
+      const deadline = BigInt(await time.latest()) + 3600n;
+
+      const { v, r, s } = await signPermit(user, mpdToken, recipient.address, value, deadline);
+      await mpdToken.permit(user.address, recipient.address, value, deadline, v, r, s);
+
+      // Nonce has been consumed, so the recovered signer no longer matches the owner
+      await expect(
+        mpdToken.permit(user.address, recipient.address, value, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(mpdToken, "ERC2612InvalidSigner");
+    });
+
+    it("Should revert when signed by someone other than the owner", async function () {
+      const { mpdToken, user, recipient } = await loadFixture(deployWithMinterFixture);
+      const value = ethers.parseEther("500");
+      const deadline = BigInt(await time.latest()) + 3600n;
+
+      // recipient signs a permit naming user as the owner
+      const { domain, types, message } = buildPermitTypedData({
+        name: await mpdToken.name(),
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await mpdToken.getAddress(),
+        owner: user.address,
+        spender: recipient.address,
+        value,
+        nonce: await mpdToken.nonces(user.address),
+        deadline,
+      });
+      const signature = await recipient.signTypedData(domain, types, message);
+      const { v, r, s } = ethers.Signature.from(signature);
+
+      await expect(
+        mpdToken.permit(user.address, recipient.address, value, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(mpdToken, "ERC2612InvalidSigner")
+        .withArgs(recipient.address, user.address);
+    });
+
+    it("Should revert when permit parameters are altered", async function () {
+      const { mpdToken, user, recipient } = await loadFixture(deployWithMinterFixture);
+      const value = ethers.parseEther("500");
+      const deadline = BigInt(await time.latest()) + 3600n;
+
+      const { v, r, s } = await signPermit(user, mpdToken, recipient.address, value, deadline);
+
+      await expect(
+        mpdToken.permit(user.address, recipient.address, value * 2n, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(mpdToken, "ERC2612InvalidSigner");
+    });
+  });
+
+  // ============ 8. Supply Cap Tests ============
+
+  describe("Supply Cap", function () {
+    it("Should set max supply at deployment", async function () {
+      const { mpdToken } = await loadFixture(deployMPDTokenFixture);
+
+      expect(await mpdToken.maxSupply()).to.equal(MAX_SUPPLY);
+      expect(await mpdToken.remainingMintable()).to.equal(MAX_SUPPLY);
+    });
+
+    it("Should revert deployment with zero max supply", async function () {
+      const [owner] = await ethers.getSigners();
+      const MPDToken = await ethers.getContractFactory("MPDToken");
+
+      await expect(
+        MPDToken.deploy(owner.address, 0)
+      ).to.be.revertedWith("MPDToken: max supply must be greater than zero");
+    });
+
+    it("Should revert deployment with max supply above the votes limit", async function () {
+      const [owner] = await ethers.getSigners();
+      const MPDToken = await ethers.getContractFactory("MPDToken");
+
+      await expect(
+        MPDToken.deploy(owner.address, 2n ** 208n)
+      ).to.be.revertedWith("MPDToken: max supply exceeds votes limit");
+    });
+
+    it("Should allow minting up to exactly max supply", async function () {
+      const { mpdToken, minter, user } = await loadFixture(deployWithMinterFixture);
+
+      await mpdToken.connect(minter).mint(user.address, MAX_SUPPLY);
+
+      expect(await mpdToken.totalSupply()).to.equal(MAX_SUPPLY);
+      expect(await mpdToken.remainingMintable()).to.equal(0);
+    });
+
+    it("Should revert when mint would exceed max supply", async function () {
+      const { mpdToken, minter, user } = await loadFixture(deployWithMinterFixture);
+
+      await mpdToken.connect(minter).mint(user.address, MAX_SUPPLY - 1n);
+
+      await expect(
+        mpdToken.connect(minter).mint(user.address, 2)
+      ).to.be.revertedWith("MPDToken: max supply exceeded");
+    });
+
+    it("Should enforce the cap across all minters combined", async function () {
+      const { mpdToken, owner, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
+      const half = MAX_SUPPLY / 2n;
+
+      await mpdToken.connect(owner).setMinter(user.address, true);
+
+      await mpdToken.connect(minter).mint(recipient.address, half);
+      await mpdToken.connect(user).mint(recipient.address, MAX_SUPPLY - half);
+
+      await expect(
+        mpdToken.connect(minter).mint(recipient.address, 1)
+      ).to.be.revertedWith("MPDToken: max supply exceeded");
+    });
+
+    it("Should decrease remaining mintable as tokens are minted", async function () {
+      const { mpdToken, minter, user } = await loadFixture(deployWithMinterFixture);
+      const mintAmount = ethers.parseEther("1000");
+
+      await mpdToken.connect(minter).mint(user.address, mintAmount);
+
+      expect(await mpdToken.remainingMintable()).to.equal(MAX_SUPPLY - mintAmount);
+    });
+  });
+
+  // ============ 9. Minter Accounting Tests ============
+
+  describe("Minter Accounting", function () {
+    it("Should start with zero minted for every minter", async function () {
+      const { mpdToken, minter } = await loadFixture(deployWithMinterFixture);
+
+      expect(await mpdToken.mintedBy(minter.address)).to.equal(0);
+    });
+
+    it("Should accumulate minted totals per minter", async function () {
+      const { mpdToken, owner, minter, user, recipient } = await loadFixture(deployWithMinterFixture);
+      const firstMint = ethers.parseEther("1000");
+      const secondMint = ethers.parseEther("250");
+      const otherMint = ethers.parseEther("400");
+
+      await mpdToken.connect(owner).setMinter(user.address, true);
+
+      await mpdToken.connect(minter).mint(recipient.address, firstMint);
+      await mpdToken.connect(minter).mint(user.address, secondMint);
+      await mpdToken.connect(user).mint(recipient.address, otherMint);
+
+      expect(await mpdToken.mintedBy(minter.address)).to.equal(firstMint + secondMint);
+      expect(await mpdToken.mintedBy(user.address)).to.equal(otherMint);
+    });
+
+    it("Should keep minted total after minter is revoked", async function () {
+      const { mpdToken, owner, minter, recipient } = await loadFixture(deployWithMinterFixture);
+      const mintAmount = ethers.parseEther("1000");
+
+      await mpdToken.connect(minter).mint(recipient.address, mintAmount);
+      await mpdToken.connect(owner).setMinter(minter.address, false);
+
+      expect(await mpdToken.mintedBy(minter.address)).to.equal(mintAmount);
+    });
+
+    it("Should not change minted total on failed mint", async function () {
+      const { mpdToken, minter, recipient } = await loadFixture(deployWithMinterFixture);
+
+      await expect(
+        mpdToken.connect(minter).mint(recipient.address, MAX_SUPPLY + 1n)
+      ).to.be.revertedWith("MPDToken: max supply exceeded");
+
+      expect(await mpdToken.mintedBy(minter.address)).to.equal(0);
+    });
+  });
+
+  // ============ 10. Burning Tests ============
+
+  describe("Burning", function () {
+    /**
+     * @notice Mints MPD to user so there is something to burn
+     */
+    async function deployWithBalanceFixture() {
+      const { mpdToken, owner, user, recipient, minter } = await loadFixture(deployWithMinterFixture);
+      const userBalance = ethers.parseEther("1000");
+
+      await mpdToken.connect(minter).mint(user.address, userBalance);
+
+      return { mpdToken, owner, user, recipient, minter, userBalance };
+    }
+
+    it("Should start with zero total burned", async function () {
+      const { mpdToken } = await loadFixture(deployMPDTokenFixture);
+
+      expect(await mpdToken.totalBurned()).to.equal(0);
+    });
+
+    it("Should allow holder to burn own tokens", async function () {
+      const { mpdToken, user, userBalance } = await loadFixture(deployWithBalanceFixture);
+      const burnAmount = ethers.parseEther("300");
+
+      await mpdToken.connect(user).burn(burnAmount);
+
+      expect(await mpdToken.balanceOf(user.address)).to.equal(userBalance - burnAmount);
+      expect(await mpdToken.totalSupply()).to.equal(userBalance - burnAmount);
+      expect(await mpdToken.totalBurned()).to.equal(burnAmount);
+    });
+
+    it("Should emit TokensBurned and Transfer events on burn", async function () {
+      const { mpdToken, user } = await loadFixture(deployWithBalanceFixture);
+      const burnAmount = ethers.parseEther("300");
+
+      await expect(mpdToken.connect(user).burn(burnAmount))
+        .to.emit(mpdToken, "TokensBurned")
+        .withArgs(user.address, user.address, burnAmount)
+        .and.to.emit(mpdToken, "Transfer")
+        .withArgs(user.address, ethers.ZeroAddress, burnAmount);
+    });
+
+    it("Should revert when burning more than balance", async function () {
+      const { mpdToken, user, userBalance } = await loadFixture(deployWithBalanceFixture);
+
+      await expect(
+        mpdToken.connect(user).burn(userBalance + 1n)
+      ).to.be.revertedWithCustomError(mpdToken, "ERC20InsufficientBalance");
+    });
+
+    it("Should revert when burning zero amount", async function () {
+      const { mpdToken, user } = await loadFixture(deployWithBalanceFixture);
+
+      await expect(
+        mpdToken.connect(user).burn(0)
+      ).to.be.revertedWith("MPDToken: burn amount must be greater than zero");
+    });
+
+    it("Should allow approved spender to burnFrom", async function () {
+      const { mpdToken, user, recipient, userBalance } = await loadFixture(deployWithBalanceFixture);
+      const approvalAmount = ethers.parseEther("500");
+      const burnAmount = ethers.parseEther("200");
+
+      await mpdToken.connect(user).approve(recipient.address, approvalAmount);
+
+      await expect(mpdToken.connect(recipient).burnFrom(user.address, burnAmount))
+        .to.emit(mpdToken, "TokensBurned")
+        .withArgs(user.address, recipient.address, burnAmount);
+
+      expect(await mpdToken.balanceOf(user.address)).to.equal(userBalance - burnAmount);
+      expect(await mpdToken.allowance(user.address, recipient.address)).to.equal(approvalAmount - burnAmount);
+      expect(await mpdToken.totalBurned()).to.equal(burnAmount);
+    });
+
+    it("Should revert burnFrom without sufficient allowance", async function () {
+      const { mpdToken, user, recipient } = await loadFixture(deployWithBalanceFixture);
+      const burnAmount = ethers.parseEther("200");
+
+      await mpdToken.connect(user).approve(recipient.address, burnAmount - 1n);
+
+      await expect(
+        mpdToken.connect(recipient).burnFrom(user.address, burnAmount)
+      ).to.be.revertedWithCustomError(mpdToken, "ERC20InsufficientAllowance");
+    });
+
+    it("Should accumulate total burned across burn and burnFrom", async function () {
+      const { mpdToken, user, recipient } = await loadFixture(deployWithBalanceFixture);
+      const firstBurn = ethers.parseEther("100");
+      const secondBurn = ethers.parseEther("50");
+
+      await mpdToken.connect(user).burn(firstBurn);
+      await mpdToken.connect(user).approve(recipient.address, secondBurn);
+      await mpdToken.connect(recipient).burnFrom(user.address, secondBurn);
+
+      expect(await mpdToken.totalBurned()).to.equal(firstBurn + secondBurn);
+    });
+
+    it("Should reduce voting power of delegate when burning", async function () {
+      const { mpdToken, user, userBalance } = await loadFixture(deployWithBalanceFixture);
+      const burnAmount = ethers.parseEther("400");
+
+      await mpdToken.connect(user).delegate(user.address);
+      await mpdToken.connect(user).burn(burnAmount);
+
+      expect(await mpdToken.getVotes(user.address)).to.equal(userBalance - burnAmount);
+    });
+
+    it("Should free headroom under max supply when burning", async function () {
+      const { mpdToken, user, userBalance } = await loadFixture(deployWithBalanceFixture);
+      const burnAmount = ethers.parseEther("400");
+
+      await mpdToken.connect(user).burn(burnAmount);
+
+      expect(await mpdToken.remainingMintable()).to.equal(MAX_SUPPLY - userBalance + burnAmount);
+    });
+
+    it("Should not change minted totals when burning", async function () {
+      const { mpdToken, minter, user, userBalance } = await loadFixture(deployWithBalanceFixture);
+
+      await mpdToken.connect(user).burn(userBalance);
+
+      expect(await mpdToken.mintedBy(minter.address)).to.equal(userBalance);
+    });
+  });
 });
 
@@ -6,7 +6,8 @@
 
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { buildMetaTxTypedData, signMetaTx } = require("../scripts/vesterMetaTx");
 
 describe("Vester", function () {
   
@@ -15,6 +16,7 @@ describe("Vester", function () {
   const VESTING_DURATION = 365 * 24 * 60 * 60; // 365 days in seconds
   const ONE_DAY = 24 * 60 * 60;
   const HALF_YEAR = VESTING_DURATION / 2;
+  const MAX_SUPPLY = ethers.parseEther("100000000"); // 100M MPD
 
   // ============ Test Fixture ============
 
@@ -22,11 +24,11 @@ describe("Vester", function () {
    * @notice Deploys all contracts and sets up minter permissions
    */
   async function deployVesterFixture() {
-    const [owner, user, user2] = await ethers.getSigners();
+    const [owner, user, user2, receiver] = await ethers.getSigners();
 
     // Deploy MPDToken
     const MPDToken = await ethers.getContractFactory("MPDToken");
-    const mpdToken = await MPDToken.deploy(owner.address);
+    const mpdToken = await MPDToken.deploy(owner.address, MAX_SUPPLY);
 
     // Deploy EsMPD
     const EsMPD = await ethers.getContractFactory("EsMPD");
@@ -42,33 +44,25 @@ describe("Vester", function () {
     );
 
     // Set Vester as minter for MPDToken (to mint vested MPD)
-    // MPDToken uses Ownable, so owner can mint directly
-    // We need to transfer ownership or add a minter role
-    // For this test, we'll transfer ownership to Vester for minting
-    // Actually, looking at MPDToken, only owner can mint
-    // So we need to make Vester the owner OR modify the approach
-    
-    // Let's use a workaround: make owner mint MPD to Vester first
-    // Actually, let's check the Vester contract - it calls IMPDToken.mint()
-    // So MPDToken owner needs to be Vester, or we need to update MPDToken
-    
-    // For testing purposes, let's transfer MPDToken ownership to Vester
-    await mpdToken.transferOwnership(await vester.getAddress());
+    await mpdToken.setMinter(await vester.getAddress(), true);
 
     // Set Vester as minter for EsMPD (to burn vested esMPD)
     await esMPD.setMinter(await vester.getAddress(), true);
 
+    // Set Vester as handler for EsMPD (to move esMPD during account transfers)
+    await esMPD.setHandler(await vester.getAddress(), true);
+
     // Also set owner as minter for esMPD (to mint test tokens to users)
     await esMPD.setMinter(owner.address, true);
 
-    return { mpdToken, esMPD, vester, owner, user, user2 };
+    return { mpdToken, esMPD, vester, owner, user, user2, receiver };
   }
 
   /**
    * @notice Deploys contracts and gives user some esMPD
    */
   async function deployWithUserBalanceFixture() {
-    const { mpdToken, esMPD, vester, owner, user, user2 } = await loadFixture(deployVesterFixture);
+    const { mpdToken, esMPD, vester, owner, user, user2, receiver } = await loadFixture(deployVesterFixture);
 
     const userBalance = ethers.parseEther("1000");
     const user2Balance = ethers.parseEther("500");
@@ -79,7 +73,7 @@ describe("Vester", function () {
 
     // No approval needed - Vester burns esMPD directly as a minter (esMPD is non-transferable)
 
-    return { mpdToken, esMPD, vester, owner, user, user2, userBalance, user2Balance };
+    return { mpdToken, esMPD, vester, owner, user, user2, receiver, userBalance, user2Balance };
   }
 
   // ============ 1. Deployment Tests ============
@@ -113,7 +107,7 @@ describe("Vester", function () {
       const [owner] = await ethers.getSigners();
 
       const MPDToken = await ethers.getContractFactory("MPDToken");
-      const mpdToken = await MPDToken.deploy(owner.address);
+      const mpdToken = await MPDToken.deploy(owner.address, MAX_SUPPLY);
 
       const EsMPD = await ethers.getContractFactory("EsMPD");
       const esMPD = await EsMPD.deploy(owner.address);
@@ -244,6 +238,71 @@ describe("Vester", function () {
         vester.connect(user).deposit(excessiveAmount)
       ).to.be.reverted;
     });
+
+    describe("Top-ups", function () {
+      it("Should allow two deposits in the same block", async function () {
+        const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+        const depositAmount = ethers.parseEther("100");
+
+        await ethers.provider.send("evm_setAutomine", [false]);
+        try {
+          const tx1 = await vester.connect(user).deposit(depositAmount);
+          const tx2 = await vester.connect(user).deposit(depositAmount);
+          await mine();
+
+          const receipt1 = await tx1.wait();
+          const receipt2 = await tx2.wait();
+          expect(receipt2.blockNumber).to.equal(receipt1.blockNumber);
+          expect(receipt2.status).to.equal(1);
+        } finally {
+          await ethers.provider.send("evm_setAutomine", [true]);
+        }
+
+        expect(await vester.depositedAmount(user.address)).to.equal(depositAmount * 2n);
+        expect(await vester.trancheCount(user.address)).to.equal(2);
+      });
+
+      it("Should allow a top-up after the position is fully claimed", async function () {
+        const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+        const depositAmount = ethers.parseEther("100");
+
+        await vester.connect(user).deposit(depositAmount);
+        await time.increase(VESTING_DURATION);
+        await vester.connect(user).claim();
+
+        await expect(vester.connect(user).deposit(depositAmount))
+          .to.emit(vester, "Deposited")
+          .and.not.to.emit(vester, "Claimed");
+
+        expect(await vester.depositedAmount(user.address)).to.equal(depositAmount * 2n);
+      });
+
+      it("Should allow a top-up while the position is still in its cliff", async function () {
+        const { vester, owner, user } = await loadFixture(deployWithUserBalanceFixture);
+        const depositAmount = ethers.parseEther("100");
+
+        await vester.connect(owner).setCliffDuration(ONE_DAY * 30);
+        await vester.connect(user).deposit(depositAmount);
+        await time.increase(ONE_DAY);
+
+        await expect(vester.connect(user).deposit(depositAmount))
+          .to.emit(vester, "Deposited");
+      });
+
+      it("Should still pay out accrued rewards on a top-up", async function () {
+        const { vester, mpdToken, user } = await loadFixture(deployWithUserBalanceFixture);
+        const depositAmount = ethers.parseEther("100");
+
+        await vester.connect(user).deposit(depositAmount);
+        await time.increase(VESTING_DURATION / 4);
+
+        await expect(vester.connect(user).deposit(depositAmount))
+          .to.emit(vester, "Claimed");
+
+        const tolerance = depositAmount / 100n;
+        expect(await mpdToken.balanceOf(user.address)).to.be.closeTo(depositAmount / 4n, tolerance);
+      });
+    });
   });
 
   // ============ 3. Claim Tests ============
@@ -489,19 +548,19 @@ describe("Vester", function () {
       expect(returned).to.be.closeTo(expectedUnvested, tolerance);
     });
 
-    it("Should NOT mint pending MPD on withdrawal (forfeited)", async function () {
+    it("Should pay out pending MPD on withdrawal instead of forfeiting it", async function () {
       const { mpdToken, vester, user } = await loadFixture(deployWithUserBalanceFixture);
       const depositAmount = ethers.parseEther("100");
 
       await vester.connect(user).deposit(depositAmount);
       await time.increase(VESTING_DURATION / 2); // 50% vested but unclaimed
 
-      const balanceBefore = await mpdToken.balanceOf(user.address);
-      await vester.connect(user).withdraw();
-      const balanceAfter = await mpdToken.balanceOf(user.address);
+      await expect(vester.connect(user).withdraw())
+        .to.emit(vester, "Claimed");
 
-      // User should NOT receive any MPD from withdraw
-      expect(balanceAfter).to.equal(balanceBefore);
+      // User receives the vested half as MPD
+      const tolerance = depositAmount / 100n;
+      expect(await mpdToken.balanceOf(user.address)).to.be.closeTo(depositAmount / 2n, tolerance);
     });
 
     it("Should reset depositedAmount to zero", async function () {
@@ -594,6 +653,164 @@ describe("Vester", function () {
       const timeRemaining = await vester.timeUntilFullyVested(user.address);
       expect(timeRemaining).to.be.closeTo(BigInt(VESTING_DURATION), BigInt(10));
     });
+
+    describe("Partial withdrawal", function () {
+      it("Should return only the requested esMPD and keep the rest vesting", async function () {
+        const { esMPD, vester, user, userBalance } = await loadFixture(deployWithUserBalanceFixture);
+        const depositAmount = ethers.parseEther("100");
+        const withdrawAmount = ethers.parseEther("30");
+
+        await vester.connect(user).deposit(depositAmount);
+        await time.increase(VESTING_DURATION / 4);
+
+        await vester.connect(user)["withdraw(uint256)"](withdrawAmount);
+
+        expect(await esMPD.balanceOf(user.address)).to.equal(userBalance - depositAmount + withdrawAmount);
+        expect(await vester.depositedAmount(user.address)).to.equal(depositAmount - withdrawAmount);
+        expect(await vester.trancheCount(user.address)).to.equal(1);
+
+        // ~75 unvested before, 30 withdrawn
+        const tolerance = depositAmount / 100n;
+        expect(await vester.unvestedAmount(user.address)).to.be.closeTo(ethers.parseEther("45"), tolerance);
+      });
+
+      it("Should treat max uint256 as a full withdrawal", async function () {
+        const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+        const depositAmount = ethers.parseEther("100");
+
+        await vester.connect(user).deposit(depositAmount);
+        await time.increase(VESTING_DURATION / 4);
+
+        await vester.connect(user)["withdraw(uint256)"](ethers.MaxUint256);
+
+        expect(await vester.depositedAmount(user.address)).to.equal(0);
+        expect(await vester.trancheCount(user.address)).to.equal(0);
+      });
+
+      it("Should pay out claimable MPD before withdrawing", async function () {
+        const { mpdToken, vester, user } = await loadFixture(deployWithUserBalanceFixture);
+        const depositAmount = ethers.parseEther("100");
+
+        await vester.connect(user).deposit(depositAmount);
+        await time.increase(VESTING_DURATION / 2);
+
+        await vester.connect(user)["withdraw(uint256)"](ethers.parseEther("10"));
+
+        const tolerance = depositAmount / 100n;
+        expect(await mpdToken.balanceOf(user.address)).to.be.closeTo(depositAmount / 2n, tolerance);
+        expect(await vester.claimable(user.address)).to.be.lt(ethers.parseEther("0.001"));
+      });
+
+      it("Should keep the remaining esMPD on its original schedule", async function () {
+        const { mpdToken, vester, user } = await loadFixture(deployWithUserBalanceFixture);
+        const depositAmount = ethers.parseEther("100");
+
+        await vester.connect(user).deposit(depositAmount);
+        await time.increase(VESTING_DURATION / 2);
+        const endBefore = await vester.timeUntilFullyVested(user.address);
+
+        // Half of the remaining 50 unvested comes back
+        await vester.connect(user)["withdraw(uint256)"](ethers.parseEther("25"));
+        expect(await vester.timeUntilFullyVested(user.address)).to.equal(endBefore - 1n);
+
+        await time.increase(VESTING_DURATION / 2);
+        await vester.connect(user).claim();
+
+        // 50 paid on withdraw + 25 over the rest of the schedule
+        const tolerance = depositAmount / 100n;
+        expect(await mpdToken.balanceOf(user.address)).to.be.closeTo(ethers.parseEther("75"), tolerance);
+        expect(await vester.claimedAmount(user.address)).to.equal(await vester.depositedAmount(user.address));
+      });
+
+      it("Should take from the newest tranche first", async function () {
+        const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+
+        await vester.connect(user).deposit(ethers.parseEther("100"));
+        await time.increase(ONE_DAY * 10);
+        await vester.connect(user).deposit(ethers.parseEther("40"));
+
+        await vester.connect(user)["withdraw(uint256)"](ethers.parseEther("30"));
+
+        // Newest tranche shrinks; oldest untouched
+        const tranches = await vester.getTranches(user.address);
+        expect(tranches.length).to.equal(2);
+        expect(tranches[0].amount).to.equal(ethers.parseEther("100"));
+        expect(tranches[1].amount).to.be.closeTo(ethers.parseEther("10"), ethers.parseEther("0.001"));
+      });
+
+      it("Should close the position when all unvested esMPD is withdrawn", async function () {
+        const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+        const depositAmount = ethers.parseEther("100");
+
+        // During a cliff everything is unvested, so the exact amount is known
+        await vester.setCliffDuration(ONE_DAY * 30);
+        await vester.connect(user).deposit(depositAmount);
+
+        await expect(vester.connect(user)["withdraw(uint256)"](depositAmount))
+          .to.emit(vester, "Withdrawn")
+          .withArgs(user.address, depositAmount, 0);
+
+        expect(await vester.depositedAmount(user.address)).to.equal(0);
+        expect(await vester.trancheCount(user.address)).to.equal(0);
+      });
+
+      it("Should emit PartialWithdrawn with the remaining unvested amount", async function () {
+        const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+        const depositAmount = ethers.parseEther("100");
+
+        await vester.setCliffDuration(ONE_DAY * 30);
+        await vester.connect(user).deposit(depositAmount);
+
+        // Withdrawn keeps its forfeitedMPD field, which is always zero now
+        await expect(vester.connect(user)["withdraw(uint256)"](ethers.parseEther("40")))
+          .to.emit(vester, "Withdrawn")
+          .withArgs(user.address, ethers.parseEther("40"), 0)
+          .and.to.emit(vester, "PartialWithdrawn")
+          .withArgs(user.address, ethers.parseEther("40"), ethers.parseEther("60"));
+      });
+
+      it("Should not emit PartialWithdrawn when the position closes", async function () {
+        const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+        const depositAmount = ethers.parseEther("100");
+
+        await vester.setCliffDuration(ONE_DAY * 30);
+        await vester.connect(user).deposit(depositAmount);
+
+        await expect(vester.connect(user)["withdraw(uint256)"](depositAmount))
+          .to.not.emit(vester, "PartialWithdrawn");
+      });
+
+      it("Should revert when withdrawing more than is unvested", async function () {
+        const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+        const depositAmount = ethers.parseEther("100");
+
+        await vester.setCliffDuration(ONE_DAY * 30);
+        await vester.connect(user).deposit(depositAmount);
+
+        await expect(
+          vester.connect(user)["withdraw(uint256)"](depositAmount + 1n)
+        ).to.be.revertedWithCustomError(vester, "InsufficientUnvested")
+          .withArgs(depositAmount + 1n, depositAmount);
+      });
+
+      it("Should revert with zero amount", async function () {
+        const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+
+        await vester.connect(user).deposit(ethers.parseEther("100"));
+
+        await expect(
+          vester.connect(user)["withdraw(uint256)"](0)
+        ).to.be.revertedWithCustomError(vester, "ZeroAmount");
+      });
+
+      it("Should revert without a vesting position", async function () {
+        const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+
+        await expect(
+          vester.connect(user)["withdraw(uint256)"](1)
+        ).to.be.revertedWithCustomError(vester, "NoVestingPosition");
+      });
+    });
   });
 
   // ============ 6. Edge Cases ============
@@ -731,28 +948,87 @@ describe("Vester", function () {
       ).to.be.revertedWithCustomError(vester, "InvalidVestingDuration");
     });
 
-    it("Should affect new calculations after duration update", async function () {
+    it("Should revert when vesting duration does not fit in 32 bits", async function () {
+      const { vester, owner } = await loadFixture(deployVesterFixture);
+
+      await expect(
+        vester.connect(owner).setVestingDuration(2n ** 32n)
+      ).to.be.revertedWithCustomError(vester, "InvalidVestingDuration");
+    });
+
+    it("Should apply updated duration to deposits made after the update", async function () {
       const { vester, user, owner } = await loadFixture(deployWithUserBalanceFixture);
       const depositAmount = ethers.parseEther("100");
 
-      // Deposit with original 365-day duration
-      await vester.connect(user).deposit(depositAmount);
-
-      // Change to 100 days
+      // Change to 100 days before depositing
       const newDuration = 100 * ONE_DAY;
       await vester.connect(owner).setVestingDuration(newDuration);
 
-      // Move forward 50 days (would be ~13.7% of 365 days, but ~50% of 100 days)
+      await vester.connect(user).deposit(depositAmount);
+
+      // Move forward 50 days (~50% of 100 days)
       await time.increase(50 * ONE_DAY);
 
-      // Note: existing deposits still use their original start time
-      // The new duration affects the calculation
       const vested = await vester.totalVested(user.address);
       const expectedWithNewDuration = depositAmount / 2n;
       const tolerance = depositAmount / 100n;
 
       expect(vested).to.be.closeTo(expectedWithNewDuration, tolerance);
     });
+
+    it("Should not shorten existing positions when duration is reduced", async function () {
+      const { vester, user, owner } = await loadFixture(deployWithUserBalanceFixture);
+      const depositAmount = ethers.parseEther("100");
+
+      // Deposit with original 365-day duration
+      await vester.connect(user).deposit(depositAmount);
+      const [, endBefore] = await vester.trancheSchedule(user.address, 0);
+
+      await vester.connect(owner).setVestingDuration(100 * ONE_DAY);
+      await time.increase(50 * ONE_DAY);
+
+      // Still vesting over 365 days: ~13.7%, not 50%
+      const vested = await vester.totalVested(user.address);
+      const expected = (depositAmount * BigInt(50 * ONE_DAY)) / BigInt(VESTING_DURATION);
+      const tolerance = depositAmount / 100n;
+      expect(vested).to.be.closeTo(expected, tolerance);
+
+      const [, endAfter] = await vester.trancheSchedule(user.address, 0);
+      expect(endAfter).to.equal(endBefore);
+    });
+
+    it("Should not extend existing positions when duration is increased", async function () {
+      const { vester, user, owner } = await loadFixture(deployWithUserBalanceFixture);
+      const depositAmount = ethers.parseEther("100");
+
+      await vester.connect(user).deposit(depositAmount);
+      await vester.connect(owner).setVestingDuration(VESTING_DURATION * 2);
+      await time.increase(VESTING_DURATION);
+
+      expect(await vester.totalVested(user.address)).to.equal(depositAmount);
+      expect(await vester.timeUntilFullyVested(user.address)).to.equal(0);
+    });
+
+    it("Should keep each tranche on the duration in effect at its deposit", async function () {
+      const { vester, user, owner } = await loadFixture(deployWithUserBalanceFixture);
+      const depositAmount = ethers.parseEther("100");
+      const newDuration = 100 * ONE_DAY;
+
+      await vester.connect(user).deposit(depositAmount);
+      await vester.connect(owner).setVestingDuration(newDuration);
+      await vester.connect(user).deposit(depositAmount);
+
+      const tranches = await vester.getTranches(user.address);
+      expect(tranches[0].duration).to.equal(VESTING_DURATION);
+      expect(tranches[1].duration).to.equal(newDuration);
+
+      // The new tranche finishes first; the old one keeps its original end
+      await time.increase(newDuration);
+      const [, , , vestedOld] = await vester.trancheSchedule(user.address, 0);
+      const [, , , vestedNew] = await vester.trancheSchedule(user.address, 1);
+      expect(vestedNew).to.equal(depositAmount);
+      expect(vestedOld).to.be.lt(depositAmount / 2n);
+    });
   });
 
   // ============ View Function Tests ============
@@ -804,5 +1080,2616 @@ describe("Vester", function () {
       expect(unvested3).to.be.lt(unvested2);
     });
   });
+
+  // ============ Account Transfer Tests ============
+
+  describe("Account Transfer", function () {
+    it("Should record pending receiver on signalTransfer", async function () {
+      const { vester, user, receiver } = await loadFixture(deployWithUserBalanceFixture);
+
+      await expect(vester.connect(user).signalTransfer(receiver.address))
+        .to.emit(vester, "TransferSignalled")
+        .withArgs(user.address, receiver.address);
+
+      expect(await vester.pendingReceivers(user.address)).to.equal(receiver.address);
+    });
+
+    it("Should move esMPD balance and vesting position on acceptTransfer", async function () {
+      const { esMPD, vester, user, receiver, userBalance } = await loadFixture(deployWithUserBalanceFixture);
+      const depositAmount = ethers.parseEther("400");
+
+      await vester.connect(user).deposit(depositAmount);
+      await time.increase(VESTING_DURATION / 4);
+      await vester.connect(user).claim();
+
+      const claimed = await vester.claimedAmount(user.address);
+      const lastClaim = await vester.lastClaimTime(user.address);
+      const startTime = await vester.vestingStartTime(user.address);
+      const esMPDBalance = userBalance - depositAmount;
+
+      await vester.connect(user).signalTransfer(receiver.address);
+
+      await expect(vester.connect(receiver).acceptTransfer(user.address))
+        .to.emit(vester, "TransferAccepted")
+        .withArgs(user.address, receiver.address, esMPDBalance, depositAmount);
+
+      // Receiver takes over everything
+      expect(await esMPD.balanceOf(receiver.address)).to.equal(esMPDBalance);
+      expect(await vester.depositedAmount(receiver.address)).to.equal(depositAmount);
+      expect(await vester.claimedAmount(receiver.address)).to.equal(claimed);
+      expect(await vester.lastClaimTime(receiver.address)).to.equal(lastClaim);
+      expect(await vester.vestingStartTime(receiver.address)).to.equal(startTime);
+
+      // Sender is left empty
+      expect(await esMPD.balanceOf(user.address)).to.equal(0);
+      expect(await vester.depositedAmount(user.address)).to.equal(0);
+      expect(await vester.claimedAmount(user.address)).to.equal(0);
+      expect(await vester.lastClaimTime(user.address)).to.equal(0);
+      expect(await vester.vestingStartTime(user.address)).to.equal(0);
+      expect(await vester.pendingReceivers(user.address)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should preserve vesting schedule for the receiver", async function () {
+      const { mpdToken, vester, user, receiver } = await loadFixture(deployWithUserBalanceFixture);
+      const depositAmount = ethers.parseEther("100");
+
+      await vester.connect(user).deposit(depositAmount);
+      await time.increase(VESTING_DURATION / 2);
+
+      await vester.connect(user).signalTransfer(receiver.address);
+      await vester.connect(receiver).acceptTransfer(user.address);
+
+      // Receiver can claim what the sender had vested
+      const tolerance = depositAmount / 100n;
+      expect(await vester.claimable(receiver.address)).to.be.closeTo(depositAmount / 2n, tolerance);
+
+      await time.increase(VESTING_DURATION / 2);
+      await vester.connect(receiver).claim();
+
+      expect(await mpdToken.balanceOf(receiver.address)).to.equal(depositAmount);
+      expect(await mpdToken.balanceOf(user.address)).to.equal(0);
+    });
+
+    it("Should move esMPD balance when sender has no vesting position", async function () {
+      const { esMPD, vester, user, receiver, userBalance } = await loadFixture(deployWithUserBalanceFixture);
+
+      await vester.connect(user).signalTransfer(receiver.address);
+      await vester.connect(receiver).acceptTransfer(user.address);
+
+      expect(await esMPD.balanceOf(receiver.address)).to.equal(userBalance);
+      expect(await vester.depositedAmount(receiver.address)).to.equal(0);
+    });
+
+    it("Should revert signalTransfer to zero address or self", async function () {
+      const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+
+      await expect(
+        vester.connect(user).signalTransfer(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(vester, "InvalidReceiver");
+
+      await expect(
+        vester.connect(user).signalTransfer(user.address)
+      ).to.be.revertedWithCustomError(vester, "InvalidReceiver");
+    });
+
+    it("Should revert signalTransfer to receiver with esMPD balance", async function () {
+      const { vester, user, user2 } = await loadFixture(deployWithUserBalanceFixture);
+
+      await expect(
+        vester.connect(user).signalTransfer(user2.address)
+      ).to.be.revertedWithCustomError(vester, "InvalidReceiver");
+    });
+
+    it("Should revert acceptTransfer if receiver gained a position after the signal", async function () {
+      const { esMPD, vester, owner, user, receiver } = await loadFixture(deployWithUserBalanceFixture);
+      const amount = ethers.parseEther("10");
+
+      await vester.connect(user).signalTransfer(receiver.address);
+
+      // Receiver opens a position before accepting
+      await esMPD.connect(owner).mint(receiver.address, amount);
+      await vester.connect(receiver).deposit(amount);
+
+      await expect(
+        vester.connect(receiver).acceptTransfer(user.address)
+      ).to.be.revertedWithCustomError(vester, "InvalidReceiver");
+    });
+
+    it("Should revert acceptTransfer if receiver gained esMPD after the signal", async function () {
+      const { esMPD, vester, owner, user, receiver } = await loadFixture(deployWithUserBalanceFixture);
+
+      await vester.connect(user).signalTransfer(receiver.address);
+      await esMPD.connect(owner).mint(receiver.address, ethers.parseEther("1"));
+
+      await expect(
+        vester.connect(receiver).acceptTransfer(user.address)
+      ).to.be.revertedWithCustomError(vester, "InvalidReceiver");
+    });
+
+    it("Should revert acceptTransfer without a matching signal", async function () {
+      const { vester, user, user2, receiver } = await loadFixture(deployWithUserBalanceFixture);
+
+      await expect(
+        vester.connect(receiver).acceptTransfer(user.address)
+      ).to.be.revertedWithCustomError(vester, "TransferNotSignalled");
+
+      // Only the signalled receiver can accept
+      await vester.connect(user).signalTransfer(receiver.address);
+      await expect(
+        vester.connect(user2).acceptTransfer(user.address)
+      ).to.be.revertedWithCustomError(vester, "TransferNotSignalled");
+    });
+
+    it("Should not allow accepting the same transfer twice", async function () {
+      const { vester, user, receiver } = await loadFixture(deployWithUserBalanceFixture);
+
+      await vester.connect(user).signalTransfer(receiver.address);
+      await vester.connect(receiver).acceptTransfer(user.address);
+
+      await expect(
+        vester.connect(receiver).acceptTransfer(user.address)
+      ).to.be.revertedWithCustomError(vester, "TransferNotSignalled");
+    });
+
+    it("Should replace the pending receiver when signalling again", async function () {
+      const { vester, user, receiver } = await loadFixture(deployWithUserBalanceFixture);
+      const [, , , , otherReceiver] = await ethers.getSigners();
+
+      await vester.connect(user).signalTransfer(receiver.address);
+      await vester.connect(user).signalTransfer(otherReceiver.address);
+
+      await expect(
+        vester.connect(receiver).acceptTransfer(user.address)
+      ).to.be.revertedWithCustomError(vester, "TransferNotSignalled");
+
+      await expect(vester.connect(otherReceiver).acceptTransfer(user.address))
+        .to.emit(vester, "TransferAccepted");
+    });
+  });
+
+  // ============ Instant Redemption Tests ============
+
+  describe("Instant Redemption", function () {
+    const PENALTY_BPS = 5000; // 50%
+
+    /**
+     * @notice Deploys contracts, funds users and enables instant redemption
+     */
+    async function deployWithInstantRedeemFixture() {
+      const fixture = await loadFixture(deployWithUserBalanceFixture);
+      const [, , , , , treasury] = await ethers.getSigners();
+
+      await fixture.vester.connect(fixture.owner).setInstantRedeemPenalty(PENALTY_BPS);
+      await fixture.vester.connect(fixture.owner).setPenaltyRecipient(treasury.address);
+
+      return { ...fixture, treasury };
+    }
+
+    it("Should be disabled until a penalty recipient is set", async function () {
+      const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+
+      expect(await vester.penaltyRecipient()).to.equal(ethers.ZeroAddress);
+      await expect(
+        vester.connect(user).instantRedeem(ethers.parseEther("100"))
+      ).to.be.revertedWithCustomError(vester, "InstantRedeemDisabled");
+    });
+
+    it("Should quote MPD and penalty amounts", async function () {
+      const { vester } = await loadFixture(deployWithInstantRedeemFixture);
+      const amount = ethers.parseEther("100");
+
+      const [mpdAmount, penaltyAmount] = await vester.quoteInstantRedeem(amount);
+
+      expect(mpdAmount).to.equal(ethers.parseEther("50"));
+      expect(penaltyAmount).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should mint net MPD to user and send penalty esMPD to recipient", async function () {
+      const { mpdToken, esMPD, vester, user, treasury, userBalance } = await loadFixture(deployWithInstantRedeemFixture);
+      const amount = ethers.parseEther("100");
+      const [mpdAmount, penaltyAmount] = await vester.quoteInstantRedeem(amount);
+
+      const esSupplyBefore = await esMPD.totalSupply();
+
+      await expect(vester.connect(user).instantRedeem(amount))
+        .to.emit(vester, "InstantRedeemed")
+        .withArgs(user.address, amount, mpdAmount, penaltyAmount, treasury.address);
+
+      expect(await mpdToken.balanceOf(user.address)).to.equal(mpdAmount);
+      expect(await esMPD.balanceOf(user.address)).to.equal(userBalance - amount);
+      expect(await esMPD.balanceOf(treasury.address)).to.equal(penaltyAmount);
+
+      // Penalty is not converted into MPD: only the net amount is burned and minted
+      expect(await mpdToken.totalSupply()).to.equal(mpdAmount);
+      expect(await esMPD.totalSupply()).to.equal(esSupplyBefore - mpdAmount);
+    });
+
+    it("Should revert when setting a zero penalty", async function () {
+      const { vester, owner } = await loadFixture(deployWithInstantRedeemFixture);
+
+      await expect(
+        vester.connect(owner).setInstantRedeemPenalty(0)
+      ).to.be.revertedWithCustomError(vester, "InvalidPenalty");
+    });
+
+    it("Should revert when setting a penalty below the floor", async function () {
+      const { vester, owner } = await loadFixture(deployWithInstantRedeemFixture);
+      const minPenalty = await vester.MIN_INSTANT_REDEEM_PENALTY_BPS();
+
+      await expect(
+        vester.connect(owner).setInstantRedeemPenalty(1)
+      ).to.be.revertedWithCustomError(vester, "InvalidPenalty");
+      await expect(
+        vester.connect(owner).setInstantRedeemPenalty(minPenalty - 1n)
+      ).to.be.revertedWithCustomError(vester, "InvalidPenalty");
+
+      await vester.connect(owner).setInstantRedeemPenalty(minPenalty);
+      expect(await vester.instantRedeemPenaltyBps()).to.equal(minPenalty);
+    });
+
+    it("Should stay disabled while no penalty is set", async function () {
+      const { mpdToken, vester, owner, user } = await loadFixture(deployWithUserBalanceFixture);
+      const [, , , , , treasury] = await ethers.getSigners();
+
+      await vester.connect(owner).setPenaltyRecipient(treasury.address);
+
+      await expect(
+        vester.connect(user).instantRedeem(ethers.parseEther("100"))
+      ).to.be.revertedWithCustomError(vester, "InstantRedeemDisabled");
+      expect(await mpdToken.balanceOf(user.address)).to.equal(0);
+    });
+
+    it("Should not affect an existing vesting position", async function () {
+      const { vester, user } = await loadFixture(deployWithInstantRedeemFixture);
+      const depositAmount = ethers.parseEther("100");
+
+      await vester.connect(user).deposit(depositAmount);
+      await vester.connect(user).instantRedeem(ethers.parseEther("200"));
+
+      expect(await vester.depositedAmount(user.address)).to.equal(depositAmount);
+    });
+
+    it("Should revert when redeeming zero amount", async function () {
+      const { vester, user } = await loadFixture(deployWithInstantRedeemFixture);
+
+      await expect(
+        vester.connect(user).instantRedeem(0)
+      ).to.be.revertedWithCustomError(vester, "ZeroAmount");
+    });
+
+    it("Should revert when redeeming more than esMPD balance", async function () {
+      const { vester, user, userBalance } = await loadFixture(deployWithInstantRedeemFixture);
+
+      await expect(
+        vester.connect(user).instantRedeem(userBalance + 1n)
+      ).to.be.reverted;
+    });
+
+    it("Should allow owner to update the penalty", async function () {
+      const { vester, owner } = await loadFixture(deployWithInstantRedeemFixture);
+
+      await expect(vester.connect(owner).setInstantRedeemPenalty(2500))
+        .to.emit(vester, "InstantRedeemPenaltyUpdated")
+        .withArgs(PENALTY_BPS, 2500);
+
+      expect(await vester.instantRedeemPenaltyBps()).to.equal(2500);
+    });
+
+    it("Should revert when penalty is 100% or more", async function () {
+      const { vester, owner } = await loadFixture(deployWithInstantRedeemFixture);
+
+      await expect(
+        vester.connect(owner).setInstantRedeemPenalty(10_000)
+      ).to.be.revertedWithCustomError(vester, "InvalidPenalty");
+    });
+
+    it("Should allow owner to update the penalty recipient", async function () {
+      const { vester, owner, user2, treasury } = await loadFixture(deployWithInstantRedeemFixture);
+
+      await expect(vester.connect(owner).setPenaltyRecipient(user2.address))
+        .to.emit(vester, "PenaltyRecipientUpdated")
+        .withArgs(treasury.address, user2.address);
+    });
+
+    it("Should revert when setting zero penalty recipient", async function () {
+      const { vester, owner } = await loadFixture(deployWithInstantRedeemFixture);
+
+      await expect(
+        vester.connect(owner).setPenaltyRecipient(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(vester, "ZeroAddress");
+    });
+
+    it("Should revert when non-owner updates redemption settings", async function () {
+      const { vester, user } = await loadFixture(deployWithInstantRedeemFixture);
+
+      await expect(
+        vester.connect(user).setInstantRedeemPenalty(0)
+      ).to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount")
+        .withArgs(user.address);
+
+      await expect(
+        vester.connect(user).setPenaltyRecipient(user.address)
+      ).to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount")
+        .withArgs(user.address);
+    });
+  });
+
+  // ============ Tranche Tests ============
+
+  describe("Tranches", function () {
+    it("Should record each deposit as its own tranche", async function () {
+      const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+
+      await vester.connect(user).deposit(ethers.parseEther("100"));
+      await time.increase(10 * ONE_DAY);
+      await vester.connect(user).deposit(ethers.parseEther("50"));
+
+      expect(await vester.trancheCount(user.address)).to.equal(2);
+
+      const tranches = await vester.getTranches(user.address);
+      expect(tranches[0].amount).to.equal(ethers.parseEther("100"));
+      expect(tranches[1].amount).to.equal(ethers.parseEther("50"));
+      expect(tranches[1].startTime).to.be.gt(tranches[0].startTime);
+      expect(tranches[1].duration).to.equal(VESTING_DURATION);
+    });
+
+    it("Should not make a late deposit instantly claimable", async function () {
+      const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+
+      await vester.connect(user).deposit(ethers.parseEther("100"));
+      await time.increase(300 * ONE_DAY);
+      await vester.connect(user).deposit(ethers.parseEther("100"));
+
+      // The first tranche's progress was claimed on deposit; the new one starts at zero
+      const claimable = await vester.claimable(user.address);
+      expect(claimable).to.be.lt(ethers.parseEther("1"));
+
+      const [, endTime, amount, vested] = await vester.trancheSchedule(user.address, 1);
+      expect(amount).to.equal(ethers.parseEther("100"));
+      expect(vested).to.equal(0);
+      expect(endTime).to.equal(BigInt(await time.latest()) + BigInt(VESTING_DURATION));
+    });
+
+    it("Should aggregate claims across tranches", async function () {
+      const { vester, mpdToken, user } = await loadFixture(deployWithUserBalanceFixture);
+      const depositAmount = ethers.parseEther("100");
+
+      await vester.connect(user).deposit(depositAmount);
+      await time.increase(VESTING_DURATION / 2);
+      await vester.connect(user).deposit(depositAmount);
+      await time.increase(VESTING_DURATION / 2);
+
+      // First tranche fully vested, second halfway
+      await vester.connect(user).claim();
+
+      const expected = depositAmount + depositAmount / 2n;
+      const tolerance = depositAmount / 100n;
+      expect(await mpdToken.balanceOf(user.address)).to.be.closeTo(expected, tolerance);
+      expect(await vester.claimedAmount(user.address)).to.equal(await mpdToken.balanceOf(user.address));
+    });
+
+    it("Should prune fully claimed tranches", async function () {
+      const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+      const depositAmount = ethers.parseEther("100");
+
+      await vester.connect(user).deposit(depositAmount);
+      await time.increase(VESTING_DURATION / 2);
+      await vester.connect(user).deposit(depositAmount);
+      await time.increase(VESTING_DURATION / 2);
+      await vester.connect(user).claim();
+
+      expect(await vester.trancheCount(user.address)).to.equal(1);
+      expect(await vester.depositedAmount(user.address)).to.equal(depositAmount * 2n);
+
+      await time.increase(VESTING_DURATION / 2);
+      await vester.connect(user).claim();
+
+      expect(await vester.trancheCount(user.address)).to.equal(0);
+      expect(await vester.claimedAmount(user.address)).to.equal(depositAmount * 2n);
+      expect(await vester.claimable(user.address)).to.equal(0);
+    });
+
+    it("Should return unvested esMPD from every tranche on withdraw", async function () {
+      const { vester, esMPD, user, userBalance } = await loadFixture(deployWithUserBalanceFixture);
+      const depositAmount = ethers.parseEther("100");
+
+      await vester.connect(user).deposit(depositAmount);
+      await time.increase(VESTING_DURATION / 2);
+      await vester.connect(user).deposit(depositAmount);
+
+      const unvested = await vester.unvestedAmount(user.address);
+      await vester.connect(user).withdraw();
+
+      // Half of the first tranche plus (nearly) all of the second comes back
+      const tolerance = depositAmount / 100n;
+      expect(unvested).to.be.closeTo(depositAmount + depositAmount / 2n, tolerance);
+      expect(await esMPD.balanceOf(user.address)).to.be.closeTo(
+        userBalance - depositAmount * 2n + unvested,
+        tolerance
+      );
+      expect(await vester.trancheCount(user.address)).to.equal(0);
+    });
+
+    it("Should report the latest tranche end in timeUntilFullyVested", async function () {
+      const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+
+      await vester.connect(user).deposit(ethers.parseEther("100"));
+      await time.increase(100 * ONE_DAY);
+      await vester.connect(user).deposit(ethers.parseEther("100"));
+
+      expect(await vester.timeUntilFullyVested(user.address)).to.equal(VESTING_DURATION);
+    });
+
+    it("Should move tranches with an account transfer", async function () {
+      const { vester, user, receiver } = await loadFixture(deployWithUserBalanceFixture);
+
+      await vester.connect(user).deposit(ethers.parseEther("100"));
+      await vester.connect(user).deposit(ethers.parseEther("50"));
+
+      await vester.connect(user).signalTransfer(receiver.address);
+      await vester.connect(receiver).acceptTransfer(user.address);
+
+      expect(await vester.trancheCount(user.address)).to.equal(0);
+      expect(await vester.trancheCount(receiver.address)).to.equal(2);
+    });
+
+    it("Should revert trancheSchedule for an invalid index", async function () {
+      const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+
+      await expect(
+        vester.trancheSchedule(user.address, 0)
+      ).to.be.revertedWithCustomError(vester, "InvalidTrancheIndex");
+    });
+
+    it("Should revert when exceeding the maximum number of tranches", async function () {
+      const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+      const maxTranches = await vester.MAX_TRANCHES();
+
+      for (let i = 0n; i < maxTranches; i++) {
+        await vester.connect(user).deposit(ethers.parseEther("1"));
+      }
+
+      await expect(
+        vester.connect(user).deposit(ethers.parseEther("1"))
+      ).to.be.revertedWithCustomError(vester, "TooManyTranches");
+    });
+  });
+
+  // ============ Cliff Tests ============
+
+  describe("Cliff", function () {
+    const CLIFF_DURATION = 90 * ONE_DAY;
+
+    /**
+     * @notice Deploys contracts with a 90-day cliff and funded users
+     */
+    async function deployWithCliffFixture() {
+      const fixture = await loadFixture(deployWithUserBalanceFixture);
+      await fixture.vester.connect(fixture.owner).setCliffDuration(CLIFF_DURATION);
+      return fixture;
+    }
+
+    it("Should set cliff duration and emit event", async function () {
+      const { vester, owner } = await loadFixture(deployVesterFixture);
+
+      await expect(vester.connect(owner).setCliffDuration(CLIFF_DURATION))
+        .to.emit(vester, "CliffDurationUpdated")
+        .withArgs(0, CLIFF_DURATION);
+
+      expect(await vester.cliffDuration()).to.equal(CLIFF_DURATION);
+    });
+
+    it("Should revert if non-owner sets cliff duration", async function () {
+      const { vester, user } = await loadFixture(deployVesterFixture);
+
+      await expect(
+        vester.connect(user).setCliffDuration(CLIFF_DURATION)
+      ).to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should revert if cliff exceeds vesting duration", async function () {
+      const { vester, owner } = await loadFixture(deployVesterFixture);
+
+      await expect(
+        vester.connect(owner).setCliffDuration(VESTING_DURATION + 1)
+      ).to.be.revertedWithCustomError(vester, "InvalidCliffDuration");
+    });
+
+    it("Should revert if vesting duration is set below the cliff", async function () {
+      const { vester, owner } = await loadFixture(deployWithCliffFixture);
+
+      await expect(
+        vester.connect(owner).setVestingDuration(CLIFF_DURATION - 1)
+      ).to.be.revertedWithCustomError(vester, "InvalidVestingDuration");
+    });
+
+    it("Should vest nothing during the cliff", async function () {
+      const { vester, user } = await loadFixture(deployWithCliffFixture);
+
+      await vester.connect(user).deposit(ethers.parseEther("100"));
+      await time.increase(CLIFF_DURATION - 10);
+
+      expect(await vester.claimable(user.address)).to.equal(0);
+      expect(await vester.totalVested(user.address)).to.equal(0);
+      await expect(
+        vester.connect(user).claim()
+      ).to.be.revertedWithCustomError(vester, "NothingToClaim");
+    });
+
+    it("Should catch up to the linear schedule once the cliff passes", async function () {
+      const { vester, user } = await loadFixture(deployWithCliffFixture);
+      const depositAmount = ethers.parseEther("100");
+
+      await vester.connect(user).deposit(depositAmount);
+      await time.increase(CLIFF_DURATION);
+
+      const expected = (depositAmount * BigInt(CLIFF_DURATION)) / BigInt(VESTING_DURATION);
+      const tolerance = depositAmount / 1000n;
+      expect(await vester.claimable(user.address)).to.be.closeTo(expected, tolerance);
+    });
+
+    it("Should not change the full vesting time", async function () {
+      const { vester, user } = await loadFixture(deployWithCliffFixture);
+      const depositAmount = ethers.parseEther("100");
+
+      await vester.connect(user).deposit(depositAmount);
+      expect(await vester.timeUntilFullyVested(user.address)).to.equal(VESTING_DURATION);
+
+      await time.increase(VESTING_DURATION);
+      expect(await vester.totalVested(user.address)).to.equal(depositAmount);
+      expect(await vester.timeUntilFullyVested(user.address)).to.equal(0);
+    });
+
+    it("Should return the full deposit on withdraw during the cliff", async function () {
+      const { vester, esMPD, user, userBalance } = await loadFixture(deployWithCliffFixture);
+      const depositAmount = ethers.parseEther("100");
+
+      await vester.connect(user).deposit(depositAmount);
+      await time.increase(CLIFF_DURATION / 2);
+
+      await expect(vester.connect(user).withdraw())
+        .to.emit(vester, "Withdrawn")
+        .withArgs(user.address, depositAmount, 0);
+
+      expect(await esMPD.balanceOf(user.address)).to.equal(userBalance);
+    });
+
+    it("Should snapshot the cliff per position", async function () {
+      const { vester, user, user2, owner } = await loadFixture(deployWithCliffFixture);
+      const depositAmount = ethers.parseEther("100");
+
+      await vester.connect(user).deposit(depositAmount);
+      await vester.connect(owner).setCliffDuration(0);
+      await vester.connect(user2).deposit(depositAmount);
+
+      await time.increase(CLIFF_DURATION / 2);
+
+      // user keeps the 90-day cliff, user2 vests from day one
+      expect(await vester.claimable(user.address)).to.equal(0);
+      expect(await vester.claimable(user2.address)).to.be.gt(0);
+      expect((await vester.getTranches(user.address))[0].cliff).to.equal(CLIFF_DURATION);
+    });
+  });
+
+  // ============ Vesting Curve Tests ============
+
+  describe("Vesting Curves", function () {
+    const Curve = { Linear: 0, MonthlyStep: 1, FrontLoaded: 2, BackLoaded: 3 };
+    const STEP_INTERVAL = 30 * ONE_DAY;
+    const DEPOSIT = ethers.parseEther("100");
+    const D = BigInt(VESTING_DURATION);
+
+    /**
+     * @notice Sets the curve, deposits for user and returns the tranche start time
+     */
+    async function depositWithCurve(curve) {
+      const fixture = await loadFixture(deployWithUserBalanceFixture);
+      await fixture.vester.connect(fixture.owner).setVestingCurve(curve);
+      await fixture.vester.connect(fixture.user).deposit(DEPOSIT);
+      const start = await time.latest();
+      return { ...fixture, start };
+    }
+
+    /**
+     * @notice Moves to `elapsed` seconds after start and reads the vested amount
+     */
+    async function vestedAt(vester, user, start, elapsed) {
+      await time.increaseTo(start + elapsed);
+      return vester.totalVested(user.address);
+    }
+
+    it("Should default to the linear curve", async function () {
+      const { vester } = await loadFixture(deployVesterFixture);
+      expect(await vester.vestingCurve()).to.equal(Curve.Linear);
+    });
+
+    it("Should set curve and emit event", async function () {
+      const { vester, owner } = await loadFixture(deployVesterFixture);
+
+      await expect(vester.connect(owner).setVestingCurve(Curve.BackLoaded))
+        .to.emit(vester, "VestingCurveUpdated")
+        .withArgs(Curve.Linear, Curve.BackLoaded);
+    });
+
+    it("Should revert if non-owner sets curve", async function () {
+      const { vester, user } = await loadFixture(deployVesterFixture);
+
+      await expect(
+        vester.connect(user).setVestingCurve(Curve.FrontLoaded)
+      ).to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should vest linearly at start, midpoint and end", async function () {
+      const { vester, user, start } = await depositWithCurve(Curve.Linear);
+
+      expect(await vester.totalVested(user.address)).to.equal(0);
+      expect(await vestedAt(vester, user, start, HALF_YEAR)).to.equal((DEPOSIT * BigInt(HALF_YEAR)) / D);
+      expect(await vestedAt(vester, user, start, VESTING_DURATION)).to.equal(DEPOSIT);
+    });
+
+    it("Should release monthly steps only at step boundaries", async function () {
+      const { vester, user, start } = await depositWithCurve(Curve.MonthlyStep);
+      const oneStep = (DEPOSIT * BigInt(STEP_INTERVAL)) / D;
+
+      expect(await vestedAt(vester, user, start, STEP_INTERVAL - 1)).to.equal(0);
+      expect(await vestedAt(vester, user, start, STEP_INTERVAL)).to.equal(oneStep);
+      expect(await vestedAt(vester, user, start, 2 * STEP_INTERVAL - 1)).to.equal(oneStep);
+      expect(await vestedAt(vester, user, start, 2 * STEP_INTERVAL)).to.equal((DEPOSIT * BigInt(2 * STEP_INTERVAL)) / D);
+    });
+
+    it("Should release the final partial step at the end of a monthly schedule", async function () {
+      const { vester, user, start } = await depositWithCurve(Curve.MonthlyStep);
+      const lastStep = 12 * STEP_INTERVAL; // 360 of 365 days
+
+      expect(await vestedAt(vester, user, start, VESTING_DURATION - 1)).to.equal((DEPOSIT * BigInt(lastStep)) / D);
+      expect(await vestedAt(vester, user, start, VESTING_DURATION)).to.equal(DEPOSIT);
+    });
+
+    it("Should front-load vesting", async function () {
+      const { vester, user, start } = await depositWithCurve(Curve.FrontLoaded);
+
+      expect(await vester.totalVested(user.address)).to.equal(0);
+      // 1 - (1 - 1/2)^2 = 75% at the midpoint
+      expect(await vestedAt(vester, user, start, HALF_YEAR)).to.be.closeTo((DEPOSIT * 3n) / 4n, DEPOSIT / 10000n);
+      expect(await vestedAt(vester, user, start, VESTING_DURATION)).to.equal(DEPOSIT);
+    });
+
+    it("Should back-load vesting", async function () {
+      const { vester, user, start } = await depositWithCurve(Curve.BackLoaded);
+
+      expect(await vester.totalVested(user.address)).to.equal(0);
+      // (1/2)^2 = 25% at the midpoint
+      expect(await vestedAt(vester, user, start, HALF_YEAR)).to.be.closeTo(DEPOSIT / 4n, DEPOSIT / 10000n);
+      expect(await vestedAt(vester, user, start, VESTING_DURATION - 1)).to.be.lt(DEPOSIT);
+      expect(await vestedAt(vester, user, start, VESTING_DURATION)).to.equal(DEPOSIT);
+    });
+
+    it("Should combine a curve with a cliff", async function () {
+      const { vester, user, owner } = await loadFixture(deployWithUserBalanceFixture);
+      await vester.connect(owner).setCliffDuration(2 * STEP_INTERVAL);
+      await vester.connect(owner).setVestingCurve(Curve.MonthlyStep);
+      await vester.connect(user).deposit(DEPOSIT);
+      const start = await time.latest();
+
+      expect(await vestedAt(vester, user, start, 2 * STEP_INTERVAL - 1)).to.equal(0);
+      expect(await vestedAt(vester, user, start, 2 * STEP_INTERVAL)).to.equal((DEPOSIT * BigInt(2 * STEP_INTERVAL)) / D);
+    });
+
+    it("Should snapshot the curve per position", async function () {
+      const { vester, user, user2, owner, start } = await depositWithCurve(Curve.BackLoaded);
+
+      await vester.connect(owner).setVestingCurve(Curve.Linear);
+      await vester.connect(user2).deposit(DEPOSIT);
+
+      const tranches = await vester.getTranches(user.address);
+      expect(tranches[0].curve).to.equal(Curve.BackLoaded);
+      expect((await vester.getTranches(user2.address))[0].curve).to.equal(Curve.Linear);
+
+      // user still follows the back-loaded curve
+      expect(await vestedAt(vester, user, start, HALF_YEAR)).to.be.closeTo(DEPOSIT / 4n, DEPOSIT / 10000n);
+    });
+
+    it("Should keep claimable consistent with the curve", async function () {
+      const { vester, mpdToken, user, start } = await depositWithCurve(Curve.FrontLoaded);
+
+      await time.increaseTo(start + HALF_YEAR);
+      await vester.connect(user).claim();
+      const claimed = await mpdToken.balanceOf(user.address);
+      expect(claimed).to.be.closeTo((DEPOSIT * 3n) / 4n, DEPOSIT / 10000n);
+
+      await time.increaseTo(start + VESTING_DURATION);
+      await vester.connect(user).claim();
+      expect(await mpdToken.balanceOf(user.address)).to.equal(DEPOSIT);
+    });
+  });
+
+  // ============ Pair Token Reserve Tests ============
+
+  describe("Pair Token Reserve", function () {
+    const PAIR_RATIO_BPS = 5000; // 0.5 pair token per esMPD
+    const DEPOSIT = ethers.parseEther("100");
+    const RESERVE = ethers.parseEther("50");
+
+    /**
+     * @notice Uses MPD as the pair token (stand-in for staked MPD) and funds user
+     */
+    async function deployWithPairTokenFixture() {
+      const fixture = await loadFixture(deployWithUserBalanceFixture);
+      const { mpdToken, vester, owner, user } = fixture;
+
+      await vester.connect(owner).setPairToken(await mpdToken.getAddress());
+      await vester.connect(owner).setPairRatio(PAIR_RATIO_BPS);
+
+      await mpdToken.connect(owner).setMinter(owner.address, true);
+      await mpdToken.connect(owner).mint(user.address, ethers.parseEther("1000"));
+      await mpdToken.connect(user).approve(await vester.getAddress(), ethers.MaxUint256);
+
+      return { ...fixture, pairBalance: ethers.parseEther("1000") };
+    }
+
+    it("Should not require a reserve when no pair token is set", async function () {
+      const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+
+      expect(await vester.requiredPairReserve(DEPOSIT)).to.equal(0);
+      await vester.connect(user).deposit(DEPOSIT);
+      expect(await vester.pairReserves(user.address)).to.equal(0);
+    });
+
+    it("Should set pair token and ratio with events", async function () {
+      const { vester, mpdToken, owner } = await loadFixture(deployVesterFixture);
+      const token = await mpdToken.getAddress();
+
+      await expect(vester.connect(owner).setPairToken(token))
+        .to.emit(vester, "PairTokenUpdated")
+        .withArgs(ethers.ZeroAddress, token);
+      await expect(vester.connect(owner).setPairRatio(PAIR_RATIO_BPS))
+        .to.emit(vester, "PairRatioUpdated")
+        .withArgs(0, PAIR_RATIO_BPS);
+
+      expect(await vester.requiredPairReserve(DEPOSIT)).to.equal(RESERVE);
+    });
+
+    it("Should revert if non-owner configures the pair token", async function () {
+      const { vester, mpdToken, user } = await loadFixture(deployVesterFixture);
+
+      await expect(
+        vester.connect(user).setPairToken(await mpdToken.getAddress())
+      ).to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+      await expect(
+        vester.connect(user).setPairRatio(PAIR_RATIO_BPS)
+      ).to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should lock the required reserve on deposit", async function () {
+      const { vester, mpdToken, user, pairBalance } = await loadFixture(deployWithPairTokenFixture);
+
+      await expect(vester.connect(user).deposit(DEPOSIT))
+        .to.emit(vester, "PairReserved")
+        .withArgs(user.address, RESERVE);
+
+      expect(await vester.pairReserves(user.address)).to.equal(RESERVE);
+      expect(await vester.totalPairReserved()).to.equal(RESERVE);
+      expect(await mpdToken.balanceOf(user.address)).to.equal(pairBalance - RESERVE);
+      expect(await mpdToken.balanceOf(await vester.getAddress())).to.equal(RESERVE);
+    });
+
+    it("Should revert deposit without enough pair tokens", async function () {
+      const { vester, mpdToken, user2 } = await loadFixture(deployWithPairTokenFixture);
+
+      await expect(
+        vester.connect(user2).deposit(DEPOSIT)
+      ).to.be.revertedWithCustomError(mpdToken, "ERC20InsufficientAllowance");
+    });
+
+    it("Should release the reserve pro-rata on claim", async function () {
+      const { vester, user } = await loadFixture(deployWithPairTokenFixture);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      await time.increase(VESTING_DURATION / 4);
+
+      await expect(vester.connect(user).claim())
+        .to.emit(vester, "PairReleased");
+
+      // ~25% claimed, so ~25% of the reserve comes back
+      const tolerance = RESERVE / 100n;
+      expect(await vester.pairReserves(user.address)).to.be.closeTo((RESERVE * 3n) / 4n, tolerance);
+    });
+
+    it("Should release the whole reserve once fully claimed", async function () {
+      const { vester, user } = await loadFixture(deployWithPairTokenFixture);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      await time.increase(VESTING_DURATION / 3);
+      await vester.connect(user).claim();
+      await time.increase(VESTING_DURATION);
+      await vester.connect(user).claim();
+
+      expect(await vester.pairReserves(user.address)).to.equal(0);
+      expect(await vester.totalPairReserved()).to.equal(0);
+    });
+
+    it("Should release the whole reserve on full withdraw", async function () {
+      const { vester, mpdToken, user, pairBalance } = await loadFixture(deployWithPairTokenFixture);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      await time.increase(VESTING_DURATION / 4);
+      await vester.connect(user).withdraw();
+
+      expect(await vester.pairReserves(user.address)).to.equal(0);
+      expect(await vester.totalPairReserved()).to.equal(0);
+
+      // Pair tokens back in full, plus the MPD that vested
+      const vestedMpd = await vester.claimedAmount(user.address);
+      expect(await mpdToken.balanceOf(user.address)).to.be.gte(pairBalance + vestedMpd);
+    });
+
+    it("Should release the matching share on partial withdraw", async function () {
+      const { vester, owner, user } = await loadFixture(deployWithPairTokenFixture);
+
+      await vester.connect(owner).setCliffDuration(ONE_DAY * 30);
+      await vester.connect(user).deposit(DEPOSIT);
+
+      await vester.connect(user)["withdraw(uint256)"](DEPOSIT / 4n);
+
+      expect(await vester.pairReserves(user.address)).to.equal((RESERVE * 3n) / 4n);
+    });
+
+    it("Should keep the recorded reserve after a ratio change", async function () {
+      const { vester, owner, user } = await loadFixture(deployWithPairTokenFixture);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      await vester.connect(owner).setPairRatio(0);
+      await vester.connect(user).withdraw();
+
+      expect(await vester.pairReserves(user.address)).to.equal(0);
+      expect(await vester.totalPairReserved()).to.equal(0);
+    });
+
+    it("Should not allow changing the pair token while reserves are locked", async function () {
+      const { vester, owner, user } = await loadFixture(deployWithPairTokenFixture);
+
+      await vester.connect(user).deposit(DEPOSIT);
+
+      await expect(
+        vester.connect(owner).setPairToken(ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(vester, "PairTokenInUse");
+    });
+
+    it("Should move the reserve with an account transfer", async function () {
+      const { vester, user, receiver } = await loadFixture(deployWithPairTokenFixture);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      await vester.connect(user).signalTransfer(receiver.address);
+      await vester.connect(receiver).acceptTransfer(user.address);
+
+      expect(await vester.pairReserves(user.address)).to.equal(0);
+      expect(await vester.pairReserves(receiver.address)).to.equal(RESERVE);
+    });
+  });
+
+  // ============ Max Vestable Amount Tests ============
+
+  describe("Max Vestable Amount", function () {
+    const REWARDS = ethers.parseEther("300");
+
+    /**
+     * @notice Enables the cap backed by a mock reward tracker reporting REWARDS for user
+     */
+    async function deployWithRewardTrackerFixture() {
+      const fixture = await loadFixture(deployWithUserBalanceFixture);
+      const { vester, owner, user } = fixture;
+
+      const MockRewardTracker = await ethers.getContractFactory("MockRewardTracker");
+      const rewardTracker = await MockRewardTracker.deploy();
+      await rewardTracker.setCumulativeRewards(user.address, REWARDS);
+
+      await vester.connect(owner).setRewardTracker(await rewardTracker.getAddress());
+      await vester.connect(owner).setMaxVestableCapEnabled(true);
+
+      return { ...fixture, rewardTracker };
+    }
+
+    it("Should not cap deposits by default", async function () {
+      const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+
+      expect(await vester.maxVestableAmount(user.address)).to.equal(ethers.MaxUint256);
+      await vester.connect(user).deposit(ethers.parseEther("1000"));
+    });
+
+    it("Should emit events when configuring the cap", async function () {
+      const { vester, owner, user } = await loadFixture(deployVesterFixture);
+
+      await expect(vester.connect(owner).setMaxVestableCapEnabled(true))
+        .to.emit(vester, "MaxVestableCapSet")
+        .withArgs(true);
+      await expect(vester.connect(owner).setRewardTracker(user.address))
+        .to.emit(vester, "RewardTrackerUpdated")
+        .withArgs(ethers.ZeroAddress, user.address);
+      await expect(vester.connect(owner).setBonusReward(user.address, REWARDS))
+        .to.emit(vester, "BonusRewardSet")
+        .withArgs(user.address, REWARDS);
+    });
+
+    it("Should revert if non-owner configures the cap", async function () {
+      const { vester, user } = await loadFixture(deployVesterFixture);
+
+      await expect(
+        vester.connect(user).setMaxVestableCapEnabled(true)
+      ).to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+      await expect(
+        vester.connect(user).setRewardTracker(user.address)
+      ).to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+      await expect(
+        vester.connect(user).setBonusReward(user.address, REWARDS)
+      ).to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should revert setting a bonus for the zero address", async function () {
+      const { vester, owner } = await loadFixture(deployVesterFixture);
+
+      await expect(
+        vester.connect(owner).setBonusReward(ethers.ZeroAddress, REWARDS)
+      ).to.be.revertedWithCustomError(vester, "ZeroAddress");
+    });
+
+    it("Should derive the cap from cumulative rewards plus bonus", async function () {
+      const { vester, owner, user } = await loadFixture(deployWithRewardTrackerFixture);
+
+      expect(await vester.maxVestableAmount(user.address)).to.equal(REWARDS);
+
+      await vester.connect(owner).setBonusReward(user.address, ethers.parseEther("50"));
+      expect(await vester.maxVestableAmount(user.address)).to.equal(REWARDS + ethers.parseEther("50"));
+    });
+
+    it("Should support a bonus-only cap without a tracker", async function () {
+      const { vester, owner, user } = await loadFixture(deployWithUserBalanceFixture);
+
+      await vester.connect(owner).setMaxVestableCapEnabled(true);
+      await vester.connect(owner).setBonusReward(user.address, REWARDS);
+
+      expect(await vester.maxVestableAmount(user.address)).to.equal(REWARDS);
+      await vester.connect(user).deposit(REWARDS);
+      expect(await vester.remainingVestableAmount(user.address)).to.equal(0);
+    });
+
+    it("Should count instant redemption against the cap", async function () {
+      const { mpdToken, vester, owner, user } = await loadFixture(deployWithUserBalanceFixture);
+      const [, , , , , treasury] = await ethers.getSigners();
+
+      await vester.connect(owner).setInstantRedeemPenalty(5000);
+      await vester.connect(owner).setPenaltyRecipient(treasury.address);
+      await vester.connect(owner).setMaxVestableCapEnabled(true);
+      await vester.connect(owner).setBonusReward(user.address, REWARDS);
+
+      // Redeeming 2x the cap at a 50% penalty mints exactly the cap in MPD
+      await vester.connect(user).instantRedeem(REWARDS * 2n);
+      expect(await mpdToken.balanceOf(user.address)).to.equal(REWARDS);
+      expect(await vester.remainingVestableAmount(user.address)).to.equal(0);
+
+      await expect(
+        vester.connect(user).instantRedeem(ethers.parseEther("2"))
+      ).to.be.revertedWithCustomError(vester, "MaxVestableAmountExceeded")
+        .withArgs(ethers.parseEther("1"), 0);
+      await expect(
+        vester.connect(user).deposit(ethers.parseEther("1"))
+      ).to.be.revertedWithCustomError(vester, "MaxVestableAmountExceeded")
+        .withArgs(ethers.parseEther("1"), 0);
+    });
+
+    it("Should revert deposits above the cap", async function () {
+      const { vester, user } = await loadFixture(deployWithRewardTrackerFixture);
+
+      await vester.connect(user).deposit(ethers.parseEther("200"));
+
+      await expect(
+        vester.connect(user).deposit(ethers.parseEther("101"))
+      ).to.be.revertedWithCustomError(vester, "MaxVestableAmountExceeded")
+        .withArgs(ethers.parseEther("101"), ethers.parseEther("100"));
+    });
+
+    it("Should block users without rewards", async function () {
+      const { vester, user2 } = await loadFixture(deployWithRewardTrackerFixture);
+
+      await expect(
+        vester.connect(user2).deposit(1)
+      ).to.be.revertedWithCustomError(vester, "MaxVestableAmountExceeded")
+        .withArgs(1, 0);
+    });
+
+    it("Should grow the cap as rewards accrue", async function () {
+      const { vester, rewardTracker, user } = await loadFixture(deployWithRewardTrackerFixture);
+
+      await vester.connect(user).deposit(REWARDS);
+      await rewardTracker.setCumulativeRewards(user.address, REWARDS * 2n);
+
+      expect(await vester.remainingVestableAmount(user.address)).to.equal(REWARDS);
+      await vester.connect(user).deposit(REWARDS);
+    });
+
+    it("Should free capacity for esMPD withdrawn back", async function () {
+      const { vester, owner, user } = await loadFixture(deployWithRewardTrackerFixture);
+
+      await vester.connect(owner).setCliffDuration(ONE_DAY * 30);
+      await vester.connect(user).deposit(REWARDS);
+      await vester.connect(user)["withdraw(uint256)"](ethers.parseEther("100"));
+
+      expect(await vester.cumulativeVested(user.address)).to.equal(ethers.parseEther("200"));
+      expect(await vester.remainingVestableAmount(user.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should keep vested esMPD counted after the position closes", async function () {
+      const { vester, user } = await loadFixture(deployWithRewardTrackerFixture);
+
+      await vester.connect(user).deposit(REWARDS);
+      await time.increase(VESTING_DURATION);
+      await vester.connect(user).withdraw();
+
+      // Everything vested, so nothing came back and the cap stays used
+      expect(await vester.depositedAmount(user.address)).to.equal(0);
+      expect(await vester.remainingVestableAmount(user.address)).to.equal(0);
+    });
+
+    it("Should move the bonus allowance with an account transfer", async function () {
+      const { esMPD, vester, owner, user, receiver } = await loadFixture(deployVesterFixture);
+      const bonus = ethers.parseEther("100");
+
+      await vester.connect(owner).setMaxVestableCapEnabled(true);
+      await vester.connect(owner).setBonusReward(user.address, bonus);
+      await esMPD.connect(owner).mint(user.address, bonus);
+      await vester.connect(user).deposit(bonus);
+
+      await vester.connect(user).signalTransfer(receiver.address);
+      await vester.connect(receiver).acceptTransfer(user.address);
+
+      expect(await vester.bonusRewards(receiver.address)).to.equal(bonus);
+      expect(await vester.remainingVestableAmount(receiver.address)).to.equal(0);
+      expect(await vester.bonusRewards(user.address)).to.equal(0);
+      expect(await vester.remainingVestableAmount(user.address)).to.equal(0);
+
+      // The sender cannot vest the same allowance a second time
+      await esMPD.connect(owner).mint(user.address, bonus);
+      await expect(vester.connect(user).deposit(bonus))
+        .to.be.revertedWithCustomError(vester, "MaxVestableAmountExceeded")
+        .withArgs(bonus, 0);
+    });
+
+    it("Should move tracker rewards with an account transfer", async function () {
+      const { esMPD, vester, rewardTracker, owner, user, receiver } = await loadFixture(deployWithRewardTrackerFixture);
+
+      await vester.connect(user).deposit(REWARDS);
+      await vester.connect(user).signalTransfer(receiver.address);
+      await vester.connect(receiver).acceptTransfer(user.address);
+
+      // The tracker still reports the sender's rewards, but they now count for the receiver
+      expect(await vester.transferredCumulativeRewards(receiver.address)).to.equal(REWARDS);
+      expect(await vester.cumulativeRewardDeductions(user.address)).to.equal(REWARDS);
+      expect(await vester.maxVestableAmount(receiver.address)).to.equal(REWARDS);
+      expect(await vester.remainingVestableAmount(receiver.address)).to.equal(0);
+      expect(await vester.maxVestableAmount(user.address)).to.equal(0);
+
+      await esMPD.connect(owner).mint(user.address, REWARDS);
+      await expect(vester.connect(user).deposit(REWARDS))
+        .to.be.revertedWithCustomError(vester, "MaxVestableAmountExceeded");
+
+      // Rewards the sender earns after the transfer count for the sender again
+      const earned = ethers.parseEther("50");
+      await rewardTracker.setCumulativeRewards(user.address, REWARDS + earned);
+      expect(await vester.remainingVestableAmount(user.address)).to.equal(earned);
+      await vester.connect(user).deposit(earned);
+    });
+  });
+
+  // ============ Position NFT Tests ============
+
+  describe("Position NFTs", function () {
+    const DEPOSIT = ethers.parseEther("100");
+
+    /**
+     * @notice Deploys a VestingPositionNFT for the Vester and enables NFT mode
+     */
+    async function deployWithPositionNftFixture() {
+      const fixture = await loadFixture(deployWithUserBalanceFixture);
+      const { vester, owner } = fixture;
+
+      const VestingPositionNFT = await ethers.getContractFactory("VestingPositionNFT");
+      const positionNft = await VestingPositionNFT.deploy(await vester.getAddress());
+      await vester.connect(owner).setPositionNft(await positionNft.getAddress());
+
+      return { ...fixture, positionNft };
+    }
+
+    /**
+     * @notice Decodes the base64 JSON returned by tokenURI
+     */
+    function decodeTokenURI(uri) {
+      const prefix = "data:application/json;base64,";
+      expect(uri.startsWith(prefix)).to.be.true;
+      return JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString());
+    }
+
+    it("Should let a receiving contract read the position in onERC721Received", async function () {
+      const { esMPD, vester, positionNft, owner } = await loadFixture(deployWithPositionNftFixture);
+
+      const MockPositionReceiver = await ethers.getContractFactory("MockPositionReceiver");
+      const receiverContract = await MockPositionReceiver.deploy(await vester.getAddress());
+      await esMPD.connect(owner).mint(await receiverContract.getAddress(), DEPOSIT);
+
+      await receiverContract.depositPosition(DEPOSIT);
+
+      expect(await positionNft.ownerOf(1)).to.equal(await receiverContract.getAddress());
+      expect(await receiverContract.receivedAmount()).to.equal(DEPOSIT);
+
+      const metadata = decodeTokenURI(await receiverContract.receivedTokenURI());
+      expect(metadata.name).to.equal("MPD Vesting Position #1");
+    });
+
+    it("Should revert position deposits until NFT mode is enabled", async function () {
+      const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+
+      await expect(
+        vester.connect(user).depositPosition(DEPOSIT)
+      ).to.be.revertedWithCustomError(vester, "PositionsDisabled");
+    });
+
+    it("Should only allow the owner to set the position NFT once", async function () {
+      const { vester, positionNft, owner, user } = await loadFixture(deployWithPositionNftFixture);
+
+      expect(await vester.positionNft()).to.equal(await positionNft.getAddress());
+      await expect(
+        vester.connect(owner).setPositionNft(user.address)
+      ).to.be.revertedWithCustomError(vester, "PositionNftAlreadySet");
+      await expect(
+        vester.connect(user).setPositionNft(user.address)
+      ).to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should only let the Vester mint and burn position NFTs", async function () {
+      const { positionNft, user } = await loadFixture(deployWithPositionNftFixture);
+
+      await expect(
+        positionNft.connect(user).mint(user.address)
+      ).to.be.revertedWithCustomError(positionNft, "NotVester");
+      await expect(
+        positionNft.connect(user).burn(1)
+      ).to.be.revertedWithCustomError(positionNft, "NotVester");
+    });
+
+    it("Should mint a position NFT on deposit", async function () {
+      const { vester, esMPD, positionNft, user, userBalance } = await loadFixture(deployWithPositionNftFixture);
+
+      await expect(vester.connect(user).depositPosition(DEPOSIT))
+        .to.emit(vester, "PositionOpened")
+        .withArgs(1, user.address, DEPOSIT);
+
+      expect(await positionNft.ownerOf(1)).to.equal(user.address);
+      expect(await esMPD.balanceOf(user.address)).to.equal(userBalance - DEPOSIT);
+      expect((await vester.getPosition(1)).amount).to.equal(DEPOSIT);
+
+      // Address-keyed position is untouched
+      expect(await vester.depositedAmount(user.address)).to.equal(0);
+    });
+
+    it("Should let the holder claim vested MPD", async function () {
+      const { vester, mpdToken, user } = await loadFixture(deployWithPositionNftFixture);
+
+      await vester.connect(user).depositPosition(DEPOSIT);
+      await time.increase(VESTING_DURATION / 2);
+
+      await expect(vester.connect(user).claimPosition(1))
+        .to.emit(vester, "PositionClaimed");
+
+      const tolerance = DEPOSIT / 100n;
+      expect(await mpdToken.balanceOf(user.address)).to.be.closeTo(DEPOSIT / 2n, tolerance);
+      expect(await vester.positionClaimable(1)).to.equal(0);
+    });
+
+    it("Should move claim and withdraw rights with the NFT", async function () {
+      const { vester, mpdToken, esMPD, positionNft, user, user2 } = await loadFixture(deployWithPositionNftFixture);
+
+      await vester.connect(user).depositPosition(DEPOSIT);
+      await positionNft.connect(user).transferFrom(user.address, user2.address, 1);
+      await time.increase(VESTING_DURATION / 4);
+
+      await expect(
+        vester.connect(user).claimPosition(1)
+      ).to.be.revertedWithCustomError(vester, "NotPositionOwner");
+      await expect(
+        vester.connect(user).withdrawPosition(1)
+      ).to.be.revertedWithCustomError(vester, "NotPositionOwner");
+
+      const user2EsMpd = await esMPD.balanceOf(user2.address);
+      await vester.connect(user2).withdrawPosition(1);
+
+      // Vested MPD and unvested esMPD both go to the new holder
+      const tolerance = DEPOSIT / 100n;
+      expect(await mpdToken.balanceOf(user2.address)).to.be.closeTo(DEPOSIT / 4n, tolerance);
+      expect(await esMPD.balanceOf(user2.address) - user2EsMpd).to.be.closeTo((DEPOSIT * 3n) / 4n, tolerance);
+      expect(await mpdToken.balanceOf(user.address)).to.equal(0);
+    });
+
+    it("Should burn the NFT and clear the position on withdraw", async function () {
+      const { vester, positionNft, user } = await loadFixture(deployWithPositionNftFixture);
+
+      await vester.connect(user).depositPosition(DEPOSIT);
+
+      await expect(vester.connect(user).withdrawPosition(1))
+        .to.emit(vester, "PositionWithdrawn");
+
+      await expect(positionNft.ownerOf(1)).to.be.revertedWithCustomError(positionNft, "ERC721NonexistentToken");
+      expect((await vester.getPosition(1)).amount).to.equal(0);
+      await expect(vester.positionSchedule(1)).to.be.revertedWithCustomError(vester, "InvalidPosition");
+    });
+
+    it("Should keep each position on its own schedule", async function () {
+      const { vester, user } = await loadFixture(deployWithPositionNftFixture);
+
+      await vester.connect(user).depositPosition(DEPOSIT);
+      await time.increase(VESTING_DURATION / 2);
+      await vester.connect(user).depositPosition(DEPOSIT);
+
+      expect(await vester.positionClaimable(1)).to.be.gt(ethers.parseEther("49"));
+      expect(await vester.positionClaimable(2)).to.equal(0);
+    });
+
+    it("Should count positions against the depositor's max vestable amount", async function () {
+      const { vester, owner, user } = await loadFixture(deployWithPositionNftFixture);
+
+      await vester.connect(owner).setMaxVestableCapEnabled(true);
+      await vester.connect(owner).setBonusReward(user.address, DEPOSIT);
+      await vester.connect(user).depositPosition(DEPOSIT);
+
+      await expect(
+        vester.connect(user).depositPosition(1)
+      ).to.be.revertedWithCustomError(vester, "MaxVestableAmountExceeded");
+    });
+
+    it("Should release a position's pair reserve to its holder", async function () {
+      const { vester, mpdToken, positionNft, owner, user, user2 } = await loadFixture(deployWithPositionNftFixture);
+
+      await vester.connect(owner).setPairToken(await mpdToken.getAddress());
+      await vester.connect(owner).setPairRatio(5000);
+      await mpdToken.connect(owner).setMinter(owner.address, true);
+      await mpdToken.connect(owner).mint(user.address, DEPOSIT);
+      await mpdToken.connect(user).approve(await vester.getAddress(), DEPOSIT);
+
+      await vester.connect(user).depositPosition(DEPOSIT);
+      expect(await vester.positionPairReserves(1)).to.equal(DEPOSIT / 2n);
+
+      await positionNft.connect(user).transferFrom(user.address, user2.address, 1);
+      await vester.connect(user2).withdrawPosition(1);
+
+      expect(await vester.positionPairReserves(1)).to.equal(0);
+      expect(await vester.totalPairReserved()).to.equal(0);
+      expect(await mpdToken.balanceOf(user2.address)).to.be.gte(DEPOSIT / 2n);
+    });
+
+    it("Should describe the position in on-chain tokenURI metadata", async function () {
+      const { vester, positionNft, user } = await loadFixture(deployWithPositionNftFixture);
+
+      await vester.connect(user).depositPosition(DEPOSIT);
+      await time.increase(VESTING_DURATION / 2);
+
+      const metadata = decodeTokenURI(await positionNft.tokenURI(1));
+      const attributes = Object.fromEntries(metadata.attributes.map((a) => [a.trait_type, a.value]));
+      const [startTime, endTime] = await vester.positionSchedule(1);
+
+      expect(metadata.name).to.equal("MPD Vesting Position #1");
+      expect(BigInt(attributes["Amount"])).to.equal(DEPOSIT);
+      expect(BigInt(attributes["Start Time"])).to.equal(startTime);
+      expect(BigInt(attributes["End Time"])).to.equal(endTime);
+      expect(attributes["Progress"]).to.equal(50);
+    });
+
+    it("Should revert tokenURI for a nonexistent position", async function () {
+      const { positionNft } = await loadFixture(deployWithPositionNftFixture);
+
+      await expect(positionNft.tokenURI(1)).to.be.revertedWithCustomError(positionNft, "ERC721NonexistentToken");
+    });
+  });
+
+  // ============ Forfeit Routing Tests ============
+
+  describe("Forfeit Routing", function () {
+    const PENALTY_BPS = 5000; // 50%
+    const STAKER_SHARE_BPS = 3000; // 30% of forfeits to stakers
+    const AMOUNT = ethers.parseEther("100");
+    const PENALTY = ethers.parseEther("50");
+
+    /**
+     * @notice Enables instant redemption with a treasury and a rewards distributor
+     */
+    async function deployWithForfeitSinksFixture() {
+      const fixture = await loadFixture(deployWithUserBalanceFixture);
+      const [, , , , , treasury, distributor] = await ethers.getSigners();
+      const { vester, owner } = fixture;
+
+      await vester.connect(owner).setInstantRedeemPenalty(PENALTY_BPS);
+      await vester.connect(owner).setPenaltyRecipient(treasury.address);
+      await vester.connect(owner).setRewardsDistributor(distributor.address);
+      await vester.connect(owner).setForfeitSplit(STAKER_SHARE_BPS);
+
+      return { ...fixture, treasury, distributor };
+    }
+
+    it("Should set rewards distributor and split with events", async function () {
+      const { vester, owner, user } = await loadFixture(deployVesterFixture);
+
+      await expect(vester.connect(owner).setRewardsDistributor(user.address))
+        .to.emit(vester, "RewardsDistributorUpdated")
+        .withArgs(ethers.ZeroAddress, user.address);
+      await expect(vester.connect(owner).setForfeitSplit(STAKER_SHARE_BPS))
+        .to.emit(vester, "ForfeitSplitUpdated")
+        .withArgs(0, STAKER_SHARE_BPS);
+    });
+
+    it("Should revert if non-owner changes the forfeit routing", async function () {
+      const { vester, user } = await loadFixture(deployVesterFixture);
+
+      await expect(
+        vester.connect(user).setRewardsDistributor(user.address)
+      ).to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+      await expect(
+        vester.connect(user).setForfeitSplit(STAKER_SHARE_BPS)
+      ).to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should revert if the stakers' share exceeds 100%", async function () {
+      const { vester, owner } = await loadFixture(deployVesterFixture);
+
+      await expect(
+        vester.connect(owner).setForfeitSplit(10001)
+      ).to.be.revertedWithCustomError(vester, "InvalidForfeitShare");
+    });
+
+    it("Should split forfeits between treasury and stakers", async function () {
+      const { vester, esMPD, user, treasury, distributor } = await loadFixture(deployWithForfeitSinksFixture);
+      const stakerAmount = (PENALTY * BigInt(STAKER_SHARE_BPS)) / 10000n;
+
+      await expect(vester.connect(user).instantRedeem(AMOUNT))
+        .to.emit(vester, "ForfeitRouted")
+        .withArgs(user.address, PENALTY - stakerAmount, stakerAmount);
+
+      expect(await esMPD.balanceOf(treasury.address)).to.equal(PENALTY - stakerAmount);
+      expect(await esMPD.balanceOf(distributor.address)).to.equal(stakerAmount);
+    });
+
+    it("Should send everything to the treasury without a rewards distributor", async function () {
+      const { vester, esMPD, owner, user, treasury } = await loadFixture(deployWithForfeitSinksFixture);
+
+      await vester.connect(owner).setRewardsDistributor(ethers.ZeroAddress);
+      await vester.connect(user).instantRedeem(AMOUNT);
+
+      expect(await esMPD.balanceOf(treasury.address)).to.equal(PENALTY);
+      expect(await vester.forfeitedToStakers()).to.equal(0);
+    });
+
+    it("Should send everything to stakers at a 100% share", async function () {
+      const { vester, esMPD, owner, user, treasury, distributor } = await loadFixture(deployWithForfeitSinksFixture);
+
+      await vester.connect(owner).setForfeitSplit(10000);
+      await vester.connect(user).instantRedeem(AMOUNT);
+
+      expect(await esMPD.balanceOf(treasury.address)).to.equal(0);
+      expect(await esMPD.balanceOf(distributor.address)).to.equal(PENALTY);
+    });
+
+    it("Should track cumulative forfeitures per sink", async function () {
+      const { vester, owner, user, user2 } = await loadFixture(deployWithForfeitSinksFixture);
+
+      await vester.connect(user).instantRedeem(AMOUNT);
+      await vester.connect(owner).setForfeitSplit(0);
+      await vester.connect(user2).instantRedeem(AMOUNT);
+
+      const stakerAmount = (PENALTY * BigInt(STAKER_SHARE_BPS)) / 10000n;
+      expect(await vester.totalForfeited()).to.equal(PENALTY * 2n);
+      expect(await vester.forfeitedToStakers()).to.equal(stakerAmount);
+      expect(await vester.forfeitedToTreasury()).to.equal(PENALTY * 2n - stakerAmount);
+    });
+
+    it("Should not forfeit anything on withdraw", async function () {
+      const { vester, user } = await loadFixture(deployWithForfeitSinksFixture);
+
+      await vester.connect(user).deposit(AMOUNT);
+      await time.increase(VESTING_DURATION / 2);
+      await vester.connect(user).withdraw();
+
+      expect(await vester.totalForfeited()).to.equal(0);
+    });
+  });
+
+  // ============ Deposit Controls Tests ============
+
+  describe("Deposit Controls", function () {
+    const DEPOSIT = ethers.parseEther("100");
+
+    describe("Pause", function () {
+      it("Should only let the owner pause and unpause", async function () {
+        const { vester, owner, user } = await loadFixture(deployVesterFixture);
+
+        await expect(vester.connect(user).pause())
+          .to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+
+        await expect(vester.connect(owner).pause())
+          .to.emit(vester, "Paused")
+          .withArgs(owner.address);
+        await expect(vester.connect(user).unpause())
+          .to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+        await expect(vester.connect(owner).unpause())
+          .to.emit(vester, "Unpaused")
+          .withArgs(owner.address);
+      });
+
+      it("Should block deposits while paused", async function () {
+        const { vester, owner, user } = await loadFixture(deployWithUserBalanceFixture);
+
+        await vester.connect(owner).pause();
+
+        await expect(
+          vester.connect(user).deposit(DEPOSIT)
+        ).to.be.revertedWithCustomError(vester, "EnforcedPause");
+        await expect(
+          vester.connect(user).depositPosition(DEPOSIT)
+        ).to.be.revertedWithCustomError(vester, "EnforcedPause");
+        expect(await vester.remainingDepositCapacity(user.address)).to.equal(0);
+      });
+
+      it("Should block instant redemption while paused", async function () {
+        const { mpdToken, vester, owner, user } = await loadFixture(deployWithUserBalanceFixture);
+        const [, , , , , treasury] = await ethers.getSigners();
+
+        await vester.connect(owner).setInstantRedeemPenalty(5000);
+        await vester.connect(owner).setPenaltyRecipient(treasury.address);
+        await vester.connect(owner).pause();
+
+        await expect(
+          vester.connect(user).instantRedeem(DEPOSIT)
+        ).to.be.revertedWithCustomError(vester, "EnforcedPause");
+        expect(await mpdToken.balanceOf(user.address)).to.equal(0);
+      });
+
+      it("Should still allow claim and withdraw while paused", async function () {
+        const { vester, owner, user } = await loadFixture(deployWithUserBalanceFixture);
+
+        await vester.connect(user).deposit(DEPOSIT);
+        await time.increase(VESTING_DURATION / 4);
+        await vester.connect(owner).pause();
+
+        await expect(vester.connect(user).claim()).to.emit(vester, "Claimed");
+        await expect(vester.connect(user).withdraw()).to.emit(vester, "Withdrawn");
+      });
+
+      it("Should allow deposits again after unpausing", async function () {
+        const { vester, owner, user } = await loadFixture(deployWithUserBalanceFixture);
+
+        await vester.connect(owner).pause();
+        await vester.connect(owner).unpause();
+
+        await expect(vester.connect(user).deposit(DEPOSIT)).to.emit(vester, "Deposited");
+      });
+    });
+
+    describe("Global Cap", function () {
+      it("Should set the global cap with event", async function () {
+        const { vester, owner, user } = await loadFixture(deployVesterFixture);
+
+        await expect(vester.connect(owner).setGlobalDepositCap(DEPOSIT))
+          .to.emit(vester, "GlobalDepositCapUpdated")
+          .withArgs(0, DEPOSIT);
+        await expect(vester.connect(user).setGlobalDepositCap(DEPOSIT))
+          .to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+      });
+
+      it("Should cap deposits across all users", async function () {
+        const { vester, owner, user, user2 } = await loadFixture(deployWithUserBalanceFixture);
+
+        await vester.connect(owner).setGlobalDepositCap(ethers.parseEther("150"));
+        await vester.connect(user).deposit(DEPOSIT);
+
+        expect(await vester.totalDeposited()).to.equal(DEPOSIT);
+        expect(await vester.remainingGlobalDepositCapacity()).to.equal(ethers.parseEther("50"));
+
+        await expect(
+          vester.connect(user2).deposit(DEPOSIT)
+        ).to.be.revertedWithCustomError(vester, "GlobalDepositCapExceeded")
+          .withArgs(DEPOSIT, ethers.parseEther("50"));
+      });
+
+      it("Should free global capacity when esMPD is withdrawn back", async function () {
+        const { vester, owner, user } = await loadFixture(deployWithUserBalanceFixture);
+
+        await vester.connect(owner).setGlobalDepositCap(DEPOSIT);
+        await vester.connect(owner).setCliffDuration(ONE_DAY * 30);
+        await vester.connect(user).deposit(DEPOSIT);
+        await vester.connect(user).withdraw();
+
+        expect(await vester.totalDeposited()).to.equal(0);
+        expect(await vester.remainingGlobalDepositCapacity()).to.equal(DEPOSIT);
+      });
+
+      it("Should count instantly redeemed MPD against the global cap", async function () {
+        const { mpdToken, vester, owner, user, user2 } = await loadFixture(deployWithUserBalanceFixture);
+        const [, , , , , treasury] = await ethers.getSigners();
+
+        await vester.connect(owner).setInstantRedeemPenalty(5000);
+        await vester.connect(owner).setPenaltyRecipient(treasury.address);
+        await vester.connect(owner).setGlobalDepositCap(ethers.parseEther("150"));
+
+        // 100 esMPD at a 50% penalty mints 50 MPD
+        await vester.connect(user).instantRedeem(DEPOSIT);
+
+        expect(await vester.remainingGlobalDepositCapacity()).to.equal(DEPOSIT);
+        expect(await vester.remainingDepositCapacity(user2.address)).to.equal(DEPOSIT);
+
+        await expect(
+          vester.connect(user2).instantRedeem(ethers.parseEther("300"))
+        ).to.be.revertedWithCustomError(vester, "GlobalDepositCapExceeded")
+          .withArgs(ethers.parseEther("150"), DEPOSIT);
+        expect(await mpdToken.balanceOf(user2.address)).to.equal(0);
+      });
+
+      it("Should report unlimited capacity when uncapped", async function () {
+        const { vester } = await loadFixture(deployVesterFixture);
+
+        expect(await vester.remainingGlobalDepositCapacity()).to.equal(ethers.MaxUint256);
+      });
+    });
+
+    describe("Per-User Cap", function () {
+      it("Should set the per-user cap with event", async function () {
+        const { vester, owner, user } = await loadFixture(deployVesterFixture);
+
+        await expect(vester.connect(owner).setUserDepositCap(DEPOSIT))
+          .to.emit(vester, "UserDepositCapUpdated")
+          .withArgs(0, DEPOSIT);
+        await expect(vester.connect(user).setUserDepositCap(DEPOSIT))
+          .to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+      });
+
+      it("Should cap each user independently", async function () {
+        const { vester, owner, user, user2 } = await loadFixture(deployWithUserBalanceFixture);
+
+        await vester.connect(owner).setUserDepositCap(DEPOSIT);
+        await vester.connect(user).deposit(ethers.parseEther("60"));
+
+        await expect(
+          vester.connect(user).deposit(ethers.parseEther("50"))
+        ).to.be.revertedWithCustomError(vester, "UserDepositCapExceeded")
+          .withArgs(ethers.parseEther("50"), ethers.parseEther("40"));
+
+        await expect(vester.connect(user2).deposit(DEPOSIT)).to.emit(vester, "Deposited");
+      });
+
+      it("Should count instantly redeemed MPD against the per-user cap", async function () {
+        const { vester, owner, user, user2 } = await loadFixture(deployWithUserBalanceFixture);
+        const [, , , , , treasury] = await ethers.getSigners();
+
+        await vester.connect(owner).setInstantRedeemPenalty(5000);
+        await vester.connect(owner).setPenaltyRecipient(treasury.address);
+        await vester.connect(owner).setUserDepositCap(DEPOSIT);
+
+        // 100 esMPD at a 50% penalty mints 50 MPD
+        await vester.connect(user).instantRedeem(DEPOSIT);
+
+        const remaining = ethers.parseEther("50");
+        expect(await vester.remainingUserDepositCapacity(user.address)).to.equal(remaining);
+        expect(await vester.remainingDepositCapacity(user.address)).to.equal(remaining);
+
+        await expect(
+          vester.connect(user).instantRedeem(ethers.parseEther("200"))
+        ).to.be.revertedWithCustomError(vester, "UserDepositCapExceeded")
+          .withArgs(DEPOSIT, remaining);
+        await expect(
+          vester.connect(user).deposit(ethers.parseEther("60"))
+        ).to.be.revertedWithCustomError(vester, "UserDepositCapExceeded")
+          .withArgs(ethers.parseEther("60"), remaining);
+
+        await expect(vester.connect(user2).instantRedeem(DEPOSIT)).to.emit(vester, "InstantRedeemed");
+      });
+
+      it("Should report the tightest remaining capacity", async function () {
+        const { vester, owner, user } = await loadFixture(deployWithUserBalanceFixture);
+
+        await vester.connect(owner).setGlobalDepositCap(ethers.parseEther("500"));
+        await vester.connect(owner).setUserDepositCap(DEPOSIT);
+        await vester.connect(user).deposit(ethers.parseEther("30"));
+
+        expect(await vester.remainingUserDepositCapacity(user.address)).to.equal(ethers.parseEther("70"));
+        expect(await vester.remainingDepositCapacity(user.address)).to.equal(ethers.parseEther("70"));
+      });
+    });
+
+    describe("Allowlist", function () {
+      it("Should manage the allowlist with events", async function () {
+        const { vester, owner, user } = await loadFixture(deployVesterFixture);
+
+        await expect(vester.connect(owner).setAllowlistEnabled(true))
+          .to.emit(vester, "AllowlistEnabledSet")
+          .withArgs(true);
+        await expect(vester.connect(owner).setAllowlisted(user.address, true))
+          .to.emit(vester, "AllowlistSet")
+          .withArgs(user.address, true);
+
+        expect(await vester.isAllowlisted(user.address)).to.be.true;
+      });
+
+      it("Should revert if non-owner manages the allowlist", async function () {
+        const { vester, user } = await loadFixture(deployVesterFixture);
+
+        await expect(vester.connect(user).setAllowlistEnabled(true))
+          .to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+        await expect(vester.connect(user).setAllowlisted(user.address, true))
+          .to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+      });
+
+      it("Should revert allowlisting the zero address", async function () {
+        const { vester, owner } = await loadFixture(deployVesterFixture);
+
+        await expect(vester.connect(owner).setAllowlisted(ethers.ZeroAddress, true))
+          .to.be.revertedWithCustomError(vester, "ZeroAddress");
+      });
+
+      it("Should only allow allowlisted depositors during the allowlist phase", async function () {
+        const { vester, owner, user, user2 } = await loadFixture(deployWithUserBalanceFixture);
+
+        await vester.connect(owner).setAllowlistEnabled(true);
+        await vester.connect(owner).setAllowlisted(user.address, true);
+
+        await expect(vester.connect(user).deposit(DEPOSIT)).to.emit(vester, "Deposited");
+        await expect(
+          vester.connect(user2).deposit(DEPOSIT)
+        ).to.be.revertedWithCustomError(vester, "NotAllowlisted");
+        expect(await vester.remainingDepositCapacity(user2.address)).to.equal(0);
+      });
+
+      it("Should only allow allowlisted instant redemptions during the allowlist phase", async function () {
+        const { vester, owner, user, user2 } = await loadFixture(deployWithUserBalanceFixture);
+        const [, , , , , treasury] = await ethers.getSigners();
+
+        await vester.connect(owner).setInstantRedeemPenalty(5000);
+        await vester.connect(owner).setPenaltyRecipient(treasury.address);
+        await vester.connect(owner).setAllowlistEnabled(true);
+        await vester.connect(owner).setAllowlisted(user.address, true);
+
+        await expect(vester.connect(user).instantRedeem(DEPOSIT)).to.emit(vester, "InstantRedeemed");
+        await expect(
+          vester.connect(user2).instantRedeem(DEPOSIT)
+        ).to.be.revertedWithCustomError(vester, "NotAllowlisted");
+      });
+
+      it("Should open deposits to everyone once the allowlist is disabled", async function () {
+        const { vester, owner, user2 } = await loadFixture(deployWithUserBalanceFixture);
+
+        await vester.connect(owner).setAllowlistEnabled(true);
+        await vester.connect(owner).setAllowlistEnabled(false);
+
+        await expect(vester.connect(user2).deposit(DEPOSIT)).to.emit(vester, "Deposited");
+      });
+    });
+  });
+
+  // ============ Operator Tests ============
+
+  describe("Operators", function () {
+    const DEPOSIT = ethers.parseEther("100");
+
+    /**
+     * @notice Deposits for user and approves user2 as user's operator
+     */
+    async function deployWithOperatorFixture() {
+      const fixture = await loadFixture(deployWithUserBalanceFixture);
+      const { vester, user, user2 } = fixture;
+
+      await vester.connect(user).deposit(DEPOSIT);
+      await vester.connect(user).setOperator(user2.address, true);
+
+      return { ...fixture, operator: user2 };
+    }
+
+    /**
+     * @notice Signs an OperatorApproval for the Vester with the given signer
+     */
+    async function signOperatorApproval(vester, signer, operator, approved, deadline) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "MPD Vester",
+        version: "1",
+        chainId,
+        verifyingContract: await vester.getAddress(),
+      };
+      const types = {
+        OperatorApproval: [
+          { name: "user", type: "address" },
+          { name: "operator", type: "address" },
+          { name: "approved", type: "bool" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const message = {
+        user: signer.address,
+        operator,
+        approved,
+        nonce: await vester.nonces(signer.address),
+        deadline,
+      };
+      return signer.signTypedData(domain, types, message);
+    }
+
+    it("Should approve and revoke operators with events", async function () {
+      const { vester, user, user2 } = await loadFixture(deployVesterFixture);
+
+      await expect(vester.connect(user).setOperator(user2.address, true))
+        .to.emit(vester, "OperatorSet")
+        .withArgs(user.address, user2.address, true);
+      expect(await vester.isOperator(user.address, user2.address)).to.be.true;
+
+      await expect(vester.connect(user).setOperator(user2.address, false))
+        .to.emit(vester, "OperatorSet")
+        .withArgs(user.address, user2.address, false);
+      expect(await vester.isOperator(user.address, user2.address)).to.be.false;
+    });
+
+    it("Should reject zero or self as operator", async function () {
+      const { vester, user } = await loadFixture(deployVesterFixture);
+
+      await expect(
+        vester.connect(user).setOperator(ethers.ZeroAddress, true)
+      ).to.be.revertedWithCustomError(vester, "ZeroAddress");
+      await expect(
+        vester.connect(user).setOperator(user.address, true)
+      ).to.be.revertedWithCustomError(vester, "InvalidOperator");
+    });
+
+    it("Should let an operator claim with MPD delivered to the user", async function () {
+      const { vester, mpdToken, user, operator } = await loadFixture(deployWithOperatorFixture);
+
+      await time.increase(VESTING_DURATION / 2);
+
+      await expect(vester.connect(operator).claimFor(user.address))
+        .to.emit(vester, "Claimed");
+
+      const tolerance = DEPOSIT / 100n;
+      expect(await mpdToken.balanceOf(user.address)).to.be.closeTo(DEPOSIT / 2n, tolerance);
+      expect(await mpdToken.balanceOf(operator.address)).to.equal(0);
+    });
+
+    it("Should let an operator deposit the user's esMPD into the user's position", async function () {
+      const { vester, esMPD, user, operator, userBalance, user2Balance } = await loadFixture(deployWithOperatorFixture);
+
+      await vester.connect(operator).depositFor(user.address, DEPOSIT);
+
+      expect(await vester.depositedAmount(user.address)).to.equal(DEPOSIT * 2n);
+      expect(await vester.depositedAmount(operator.address)).to.equal(0);
+      expect(await esMPD.balanceOf(user.address)).to.equal(userBalance - DEPOSIT * 2n);
+      expect(await esMPD.balanceOf(operator.address)).to.equal(user2Balance);
+    });
+
+    it("Should reject claimFor and depositFor from non-operators", async function () {
+      const { vester, user, receiver } = await loadFixture(deployWithOperatorFixture);
+
+      await expect(
+        vester.connect(receiver).claimFor(user.address)
+      ).to.be.revertedWithCustomError(vester, "NotOperator");
+      await expect(
+        vester.connect(receiver).depositFor(user.address, DEPOSIT)
+      ).to.be.revertedWithCustomError(vester, "NotOperator");
+    });
+
+    it("Should stop an operator once revoked", async function () {
+      const { vester, user, operator } = await loadFixture(deployWithOperatorFixture);
+
+      await vester.connect(user).setOperator(operator.address, false);
+      await time.increase(VESTING_DURATION / 2);
+
+      await expect(
+        vester.connect(operator).claimFor(user.address)
+      ).to.be.revertedWithCustomError(vester, "NotOperator");
+    });
+
+    it("Should respect the deposit pause for depositFor", async function () {
+      const { vester, owner, user, operator } = await loadFixture(deployWithOperatorFixture);
+
+      await vester.connect(owner).pause();
+
+      await expect(
+        vester.connect(operator).depositFor(user.address, DEPOSIT)
+      ).to.be.revertedWithCustomError(vester, "EnforcedPause");
+    });
+
+    describe("Signed approvals", function () {
+      it("Should approve an operator with a signature submitted by anyone", async function () {
+        const { vester, user, user2, receiver } = await loadFixture(deployVesterFixture);
+        const deadline = (await time.latest()) + 3600;
+        const signature = await signOperatorApproval(vester, user, user2.address, true, deadline);
+
+        await expect(
+          vester.connect(receiver).setOperatorWithSig(user.address, user2.address, true, deadline, signature)
+        ).to.emit(vester, "OperatorSet")
+          .withArgs(user.address, user2.address, true);
+
+        expect(await vester.isOperator(user.address, user2.address)).to.be.true;
+        expect(await vester.nonces(user.address)).to.equal(1);
+      });
+
+      it("Should revoke an operator with a signature", async function () {
+        const { vester, user, operator } = await loadFixture(deployWithOperatorFixture);
+        const deadline = (await time.latest()) + 3600;
+        const signature = await signOperatorApproval(vester, user, operator.address, false, deadline);
+
+        await vester.setOperatorWithSig(user.address, operator.address, false, deadline, signature);
+
+        expect(await vester.isOperator(user.address, operator.address)).to.be.false;
+      });
+
+      it("Should reject an expired signature", async function () {
+        const { vester, user, user2 } = await loadFixture(deployVesterFixture);
+        const deadline = (await time.latest()) - 1;
+        const signature = await signOperatorApproval(vester, user, user2.address, true, deadline);
+
+        await expect(
+          vester.setOperatorWithSig(user.address, user2.address, true, deadline, signature)
+        ).to.be.revertedWithCustomError(vester, "ExpiredSignature")
+          .withArgs(deadline);
+      });
+
+      it("Should reject a replayed signature", async function () {
+        const { vester, user, user2 } = await loadFixture(deployVesterFixture);
+        const deadline = (await time.latest()) + 3600;
+        const signature = await signOperatorApproval(vester, user, user2.address, true, deadline);
+
+        await vester.setOperatorWithSig(user.address, user2.address, true, deadline, signature);
+
+        await expect(
+          vester.setOperatorWithSig(user.address, user2.address, true, deadline, signature)
+        ).to.be.revertedWithCustomError(vester, "InvalidSignature");
+      });
+
+      it("Should reject a signature from someone other than the user", async function () {
+        const { vester, user, user2, receiver } = await loadFixture(deployVesterFixture);
+        const deadline = (await time.latest()) + 3600;
+        const signature = await signOperatorApproval(vester, receiver, user2.address, true, deadline);
+
+        await expect(
+          vester.setOperatorWithSig(user.address, user2.address, true, deadline, signature)
+        ).to.be.revertedWithCustomError(vester, "InvalidSignature");
+      });
+    });
+  });
+
+  // ============ Migration Tests ============
+
+  describe("Migration", function () {
+    const DEPOSIT = ethers.parseEther("100");
+    const MIGRATION_DELAY = 2 * ONE_DAY;
+
+    /**
+     * @notice Deploys a successor Vester with minter rights and this Vester as predecessor
+     */
+    async function deployWithSuccessorFixture() {
+      const fixture = await loadFixture(deployWithUserBalanceFixture);
+      const { mpdToken, esMPD, vester, owner } = fixture;
+
+      const Vester = await ethers.getContractFactory("Vester");
+      const successor = await Vester.deploy(
+        await mpdToken.getAddress(),
+        await esMPD.getAddress(),
+        VESTING_DURATION,
+        owner.address
+      );
+      const successorAddress = await successor.getAddress();
+
+      await mpdToken.setMinter(successorAddress, true);
+      await esMPD.setMinter(successorAddress, true);
+      await successor.setPredecessor(await vester.getAddress());
+
+      return { ...fixture, successor, successorAddress };
+    }
+
+    /**
+     * @notice Proposes and executes a migration to the successor
+     */
+    async function migrate(vester, successorAddress) {
+      await vester.proposeMigration(successorAddress);
+      await time.increase(MIGRATION_DELAY);
+      await vester.executeMigration();
+    }
+
+    it("Should propose a migration behind the timelock", async function () {
+      const { vester, successorAddress } = await loadFixture(deployWithSuccessorFixture);
+
+      const tx = vester.proposeMigration(successorAddress);
+      const readyAt = (await time.latest()) + 1 + MIGRATION_DELAY;
+      await expect(tx).to.emit(vester, "MigrationProposed").withArgs(successorAddress, readyAt);
+
+      expect(await vester.pendingSuccessor()).to.equal(successorAddress);
+      expect(await vester.migrationReadyAt()).to.equal(readyAt);
+
+      await expect(vester.executeMigration())
+        .to.be.revertedWithCustomError(vester, "MigrationNotReady")
+        .withArgs(readyAt);
+
+      await time.increaseTo(readyAt);
+      await expect(vester.executeMigration())
+        .to.emit(vester, "MigrationExecuted")
+        .withArgs(successorAddress);
+      expect(await vester.successor()).to.equal(successorAddress);
+      expect(await vester.pendingSuccessor()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should restrict migration controls to the owner", async function () {
+      const { vester, user, successorAddress } = await loadFixture(deployWithSuccessorFixture);
+
+      await expect(vester.connect(user).proposeMigration(successorAddress))
+        .to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+      await expect(vester.connect(user).cancelMigration())
+        .to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+      await expect(vester.connect(user).executeMigration())
+        .to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+      await expect(vester.connect(user).setPredecessor(user.address))
+        .to.be.revertedWithCustomError(vester, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should reject invalid successors and executing without a proposal", async function () {
+      const { vester } = await loadFixture(deployWithSuccessorFixture);
+
+      await expect(vester.proposeMigration(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(vester, "InvalidSuccessor");
+      await expect(vester.proposeMigration(await vester.getAddress()))
+        .to.be.revertedWithCustomError(vester, "InvalidSuccessor");
+      await expect(vester.executeMigration())
+        .to.be.revertedWithCustomError(vester, "NoPendingMigration");
+      await expect(vester.cancelMigration())
+        .to.be.revertedWithCustomError(vester, "NoPendingMigration");
+    });
+
+    it("Should cancel a pending migration", async function () {
+      const { vester, successorAddress } = await loadFixture(deployWithSuccessorFixture);
+
+      await vester.proposeMigration(successorAddress);
+      await expect(vester.cancelMigration())
+        .to.emit(vester, "MigrationCancelled")
+        .withArgs(successorAddress);
+
+      await time.increase(MIGRATION_DELAY);
+      await expect(vester.executeMigration())
+        .to.be.revertedWithCustomError(vester, "NoPendingMigration");
+    });
+
+    it("Should not allow a second migration", async function () {
+      const { vester, successorAddress, owner } = await loadFixture(deployWithSuccessorFixture);
+
+      await migrate(vester, successorAddress);
+
+      await expect(vester.proposeMigration(owner.address))
+        .to.be.revertedWithCustomError(vester, "AlreadyMigrated");
+    });
+
+    it("Should hand token ownership held by the Vester back to governance", async function () {
+      const { mpdToken, esMPD, vester, owner, successorAddress } = await loadFixture(deployWithSuccessorFixture);
+      const vesterAddress = await vester.getAddress();
+
+      await mpdToken.transferOwnership(vesterAddress);
+
+      await vester.proposeMigration(successorAddress);
+      await time.increase(MIGRATION_DELAY);
+      await expect(vester.executeMigration())
+        .to.emit(vester, "TokenOwnershipHandedOff")
+        .withArgs(await mpdToken.getAddress(), owner.address);
+
+      expect(await mpdToken.owner()).to.equal(owner.address);
+      expect(await esMPD.owner()).to.equal(owner.address);
+
+      // Governance can now manage minters again
+      await mpdToken.setMinter(vesterAddress, false);
+      expect(await mpdToken.isMinter(vesterAddress)).to.be.false;
+    });
+
+    it("Should skip the handoff for tokens the Vester does not own", async function () {
+      const { vester, successorAddress } = await loadFixture(deployWithSuccessorFixture);
+
+      await vester.proposeMigration(successorAddress);
+      await time.increase(MIGRATION_DELAY);
+      await expect(vester.executeMigration()).to.not.emit(vester, "TokenOwnershipHandedOff");
+    });
+
+    it("Should stop deposits once migrated", async function () {
+      const { vester, user, successorAddress } = await loadFixture(deployWithSuccessorFixture);
+
+      await migrate(vester, successorAddress);
+
+      await expect(vester.connect(user).deposit(DEPOSIT))
+        .to.be.revertedWithCustomError(vester, "AlreadyMigrated");
+      expect(await vester.remainingDepositCapacity(user.address)).to.equal(0);
+    });
+
+    it("Should stop instant redemption once migrated", async function () {
+      const { vester, user, successorAddress } = await loadFixture(deployWithSuccessorFixture);
+      const [, , , , , treasury] = await ethers.getSigners();
+
+      await vester.setInstantRedeemPenalty(5000);
+      await vester.setPenaltyRecipient(treasury.address);
+      await migrate(vester, successorAddress);
+
+      await expect(vester.connect(user).instantRedeem(DEPOSIT))
+        .to.be.revertedWithCustomError(vester, "AlreadyMigrated");
+    });
+
+    it("Should keep claims and withdrawals working after migration", async function () {
+      const { vester, user, successorAddress } = await loadFixture(deployWithSuccessorFixture);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      await migrate(vester, successorAddress);
+      await time.increase(HALF_YEAR);
+
+      await expect(vester.connect(user).claim()).to.emit(vester, "Claimed");
+      await expect(vester.connect(user).withdraw()).to.emit(vester, "Withdrawn");
+    });
+
+    it("Should port a position with its schedule preserved", async function () {
+      const { mpdToken, vester, user, successor, successorAddress } = await loadFixture(deployWithSuccessorFixture);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      await time.increase(ONE_DAY * 30);
+      await vester.connect(user).deposit(DEPOSIT);
+      const before = await vester.getTranches(user.address);
+
+      await migrate(vester, successorAddress);
+
+      const mpdBefore = await mpdToken.balanceOf(user.address);
+      await expect(vester.connect(user).migratePosition())
+        .to.emit(vester, "PositionMigrated")
+        .withArgs(user.address, successorAddress, DEPOSIT * 2n)
+        .and.to.emit(successor, "PositionImported");
+
+      // Vested MPD is paid out before porting
+      expect(await mpdToken.balanceOf(user.address)).to.be.gt(mpdBefore);
+      const claimed = await mpdToken.balanceOf(user.address);
+
+      expect(await vester.depositedAmount(user.address)).to.equal(0);
+      expect(await vester.trancheCount(user.address)).to.equal(0);
+      expect(await vester.totalDeposited()).to.equal(claimed);
+
+      const after = await successor.getTranches(user.address);
+      expect(after.length).to.equal(before.length);
+      for (let i = 0; i < before.length; i++) {
+        expect(after[i].amount).to.equal(before[i].amount);
+        expect(after[i].startTime).to.equal(before[i].startTime);
+        expect(after[i].duration).to.equal(before[i].duration);
+        expect(after[i].cliff).to.equal(before[i].cliff);
+        expect(after[i].curve).to.equal(before[i].curve);
+      }
+      expect(await successor.depositedAmount(user.address)).to.equal(DEPOSIT * 2n);
+      expect(await successor.claimedAmount(user.address)).to.equal(claimed);
+      expect(await successor.totalDeposited()).to.equal(DEPOSIT * 2n - claimed);
+      expect(await successor.outstandingLiability()).to.equal(DEPOSIT * 2n - claimed);
+      expect(await successor.activePositions()).to.equal(1);
+      expect(await vester.outstandingLiability()).to.equal(0);
+      expect(await vester.activePositions()).to.equal(0);
+      expect(await successor.unvestedAmount(user.address)).to.equal(DEPOSIT * 2n - claimed);
+
+      // Vesting continues on the original schedule
+      await time.increase(VESTING_DURATION);
+      await successor.connect(user).claim();
+      expect(await mpdToken.balanceOf(user.address)).to.equal(DEPOSIT * 2n);
+    });
+
+    it("Should move the pair reserve with the position", async function () {
+      const fixture = await loadFixture(deployWithSuccessorFixture);
+      const { mpdToken, vester, owner, user, successor, successorAddress } = fixture;
+      const reserve = DEPOSIT / 2n;
+
+      await vester.setPairToken(await mpdToken.getAddress());
+      await vester.setPairRatio(5000);
+      await successor.setPairToken(await mpdToken.getAddress());
+      await mpdToken.setMinter(owner.address, true);
+      await mpdToken.mint(user.address, reserve);
+      await mpdToken.connect(user).approve(await vester.getAddress(), reserve);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      await migrate(vester, successorAddress);
+      await vester.connect(user).migratePosition();
+
+      // The share released by the pre-port claim goes back to the user; the rest moves
+      const moved = await successor.pairReserves(user.address);
+      expect(moved).to.be.gt(0).and.lt(reserve);
+      expect(await vester.pairReserves(user.address)).to.equal(0);
+      expect(await vester.totalPairReserved()).to.equal(0);
+      expect(await successor.totalPairReserved()).to.equal(moved);
+      expect(await mpdToken.balanceOf(successorAddress)).to.equal(moved);
+    });
+
+    it("Should not port positions before migration or without a position", async function () {
+      const { vester, user, user2, successorAddress } = await loadFixture(deployWithSuccessorFixture);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      await expect(vester.connect(user).migratePosition())
+        .to.be.revertedWithCustomError(vester, "NotMigrated");
+
+      await migrate(vester, successorAddress);
+      await expect(vester.connect(user2).migratePosition())
+        .to.be.revertedWithCustomError(vester, "NoVestingPosition");
+    });
+
+    it("Should only accept imports from the predecessor", async function () {
+      const { vester, user, successor } = await loadFixture(deployWithSuccessorFixture);
+
+      await expect(successor.connect(user).importPosition(user.address, [], DEPOSIT, 0, 0))
+        .to.be.revertedWithCustomError(successor, "NotPredecessor");
+      await expect(successor.setPredecessor(await vester.getAddress()))
+        .to.be.revertedWithCustomError(successor, "PredecessorAlreadySet");
+    });
+
+    it("Should not import over an existing position", async function () {
+      const { vester, user, successor, successorAddress } = await loadFixture(deployWithSuccessorFixture);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      await successor.connect(user).deposit(DEPOSIT);
+      await migrate(vester, successorAddress);
+
+      await expect(vester.connect(user).migratePosition())
+        .to.be.revertedWithCustomError(successor, "PositionAlreadyExists");
+    });
+  });
+
+  // ============ Accounting Tests ============
+
+  describe("Accounting", function () {
+    const DEPOSIT = ethers.parseEther("100");
+
+    /**
+     * @notice Enables NFT mode on top of the funded-users fixture
+     */
+    async function deployWithAccountingFixture() {
+      const fixture = await loadFixture(deployWithUserBalanceFixture);
+      const { vester, owner } = fixture;
+
+      const VestingPositionNFT = await ethers.getContractFactory("VestingPositionNFT");
+      const positionNft = await VestingPositionNFT.deploy(await vester.getAddress());
+      await vester.connect(owner).setPositionNft(await positionNft.getAddress());
+
+      return { ...fixture, positionNft };
+    }
+
+    /**
+     * @notice Recomputes the global totals from per-account and per-NFT state and compares
+     */
+    async function expectInvariants({ mpdToken, vester, positionNft }, accounts) {
+      let liability = 0n;
+      let active = 0n;
+
+      for (const account of accounts) {
+        liability += (await vester.depositedAmount(account.address)) - (await vester.claimedAmount(account.address));
+        if ((await vester.trancheCount(account.address)) > 0n) active++;
+      }
+
+      for (let tokenId = 1n; tokenId < (await positionNft.nextTokenId()); tokenId++) {
+        const position = await vester.getPosition(tokenId);
+        liability += position.amount - position.claimed;
+        if (position.claimed < position.amount) active++;
+      }
+
+      const totalClaimed = await vester.totalClaimed();
+      expect(await vester.outstandingLiability()).to.equal(liability);
+      expect(await vester.activePositions()).to.equal(active);
+      expect(await vester.totalDeposited()).to.equal(totalClaimed + liability);
+      expect(await vester.totalMinted()).to.equal(totalClaimed + (await vester.totalInstantRedeemed()));
+      expect(await mpdToken.totalSupply()).to.equal(await vester.totalMinted());
+    }
+
+    it("Should start with empty totals", async function () {
+      const { vester } = await loadFixture(deployVesterFixture);
+
+      expect(await vester.totalDeposited()).to.equal(0);
+      expect(await vester.totalClaimed()).to.equal(0);
+      expect(await vester.totalForfeited()).to.equal(0);
+      expect(await vester.outstandingLiability()).to.equal(0);
+      expect(await vester.activePositions()).to.equal(0);
+      expect(await vester.totalMinted()).to.equal(0);
+    });
+
+    it("Should track deposits as outstanding liability", async function () {
+      const { vester, user, user2 } = await loadFixture(deployWithUserBalanceFixture);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      await vester.connect(user2).deposit(DEPOSIT * 2n);
+
+      expect(await vester.outstandingLiability()).to.equal(DEPOSIT * 3n);
+      expect(await vester.activePositions()).to.equal(2);
+    });
+
+    it("Should move claimed MPD from liability to totalClaimed", async function () {
+      const { mpdToken, vester, user } = await loadFixture(deployWithUserBalanceFixture);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      await time.increase(HALF_YEAR);
+      await vester.connect(user).claim();
+
+      const claimed = await mpdToken.balanceOf(user.address);
+      expect(await vester.totalClaimed()).to.equal(claimed);
+      expect(await vester.outstandingLiability()).to.equal(DEPOSIT - claimed);
+    });
+
+    it("Should deactivate a fully vested position and reactivate it on top-up", async function () {
+      const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      await time.increase(VESTING_DURATION);
+      await vester.connect(user).claim();
+
+      expect(await vester.activePositions()).to.equal(0);
+      expect(await vester.outstandingLiability()).to.equal(0);
+      expect(await vester.totalClaimed()).to.equal(DEPOSIT);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      expect(await vester.activePositions()).to.equal(1);
+    });
+
+    it("Should release liability on partial and full withdrawal", async function () {
+      const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      await vester.connect(user)["withdraw(uint256)"](DEPOSIT / 4n);
+      expect(await vester.activePositions()).to.equal(1);
+
+      await vester.connect(user).withdraw();
+      expect(await vester.activePositions()).to.equal(0);
+      expect(await vester.outstandingLiability()).to.equal(0);
+      expect(await vester.totalDeposited()).to.equal(await vester.totalClaimed());
+    });
+
+    it("Should count NFT positions until fully claimed or withdrawn", async function () {
+      const fixture = await loadFixture(deployWithAccountingFixture);
+      const { vester, user } = fixture;
+
+      await vester.connect(user).depositPosition(DEPOSIT);
+      await vester.connect(user).depositPosition(DEPOSIT);
+      expect(await vester.activePositions()).to.equal(2);
+
+      await time.increase(HALF_YEAR);
+      await vester.connect(user).withdrawPosition(2);
+      expect(await vester.activePositions()).to.equal(1);
+      await expectInvariants(fixture, [user]);
+
+      await time.increase(VESTING_DURATION);
+      await vester.connect(user).claimPosition(1);
+      expect(await vester.activePositions()).to.equal(0);
+      await expectInvariants(fixture, [user]);
+
+      // Withdrawing a fully claimed position does not count it twice
+      await vester.connect(user).withdrawPosition(1);
+      expect(await vester.activePositions()).to.equal(0);
+    });
+
+    it("Should count instant redemptions as minted but never as liability", async function () {
+      const fixture = await loadFixture(deployWithAccountingFixture);
+      const { vester, owner, user, receiver } = fixture;
+
+      await vester.connect(owner).setInstantRedeemPenalty(5000);
+      await vester.connect(owner).setPenaltyRecipient(receiver.address);
+      await vester.connect(user).instantRedeem(DEPOSIT);
+
+      expect(await vester.totalInstantRedeemed()).to.equal(DEPOSIT / 2n);
+      expect(await vester.totalForfeited()).to.equal(DEPOSIT / 2n);
+      expect(await vester.outstandingLiability()).to.equal(0);
+      await expectInvariants(fixture, [user]);
+    });
+
+    it("Should hold the accounting invariants across a mixed sequence of actions", async function () {
+      const fixture = await loadFixture(deployWithAccountingFixture);
+      const { vester, owner, user, user2, receiver } = fixture;
+      const accounts = [user, user2, receiver];
+
+      await vester.connect(owner).setInstantRedeemPenalty(2000);
+      await vester.connect(owner).setPenaltyRecipient(owner.address);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      await vester.connect(user2).depositPosition(DEPOSIT);
+      await expectInvariants(fixture, accounts);
+
+      await time.increase(ONE_DAY * 60);
+      await vester.connect(user).deposit(DEPOSIT);
+      await vester.connect(user2).deposit(DEPOSIT);
+      await vester.connect(user2).instantRedeem(DEPOSIT / 10n);
+      await expectInvariants(fixture, accounts);
+
+      await time.increase(ONE_DAY * 90);
+      await vester.connect(user).claim();
+      await vester.connect(user2).claimPosition(1);
+      await vester.connect(user)["withdraw(uint256)"](DEPOSIT / 3n);
+      await expectInvariants(fixture, accounts);
+
+      await vester.connect(user).signalTransfer(receiver.address);
+      await vester.connect(receiver).acceptTransfer(user.address);
+      await expectInvariants(fixture, accounts);
+
+      await time.increase(VESTING_DURATION);
+      await vester.connect(receiver).claim();
+      await vester.connect(user2).withdraw();
+      await vester.connect(user2).withdrawPosition(1);
+      await expectInvariants(fixture, accounts);
+
+      expect(await vester.activePositions()).to.equal(0);
+      expect(await vester.outstandingLiability()).to.equal(0);
+    });
+  });
+
+  // ============ Packed Storage Tests ============
+
+  describe("Packed Storage", function () {
+    const DEPOSIT = ethers.parseEther("100");
+
+    it("Should keep account getters in sync with deposits and claims", async function () {
+      const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      const depositTime = await time.latest();
+
+      expect(await vester.depositedAmount(user.address)).to.equal(DEPOSIT);
+      expect(await vester.claimedAmount(user.address)).to.equal(0);
+      expect(await vester.vestingStartTime(user.address)).to.equal(depositTime);
+      expect(await vester.lastClaimTime(user.address)).to.equal(depositTime);
+
+      await time.increase(HALF_YEAR);
+      await vester.connect(user).claim();
+
+      expect(await vester.claimedAmount(user.address)).to.equal(await vester.totalClaimed());
+      expect(await vester.lastClaimTime(user.address)).to.equal(await time.latest());
+      expect(await vester.vestingStartTime(user.address)).to.equal(depositTime);
+    });
+
+    it("Should clear the packed account on full withdrawal", async function () {
+      const { vester, user } = await loadFixture(deployWithUserBalanceFixture);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      await vester.connect(user).withdraw();
+
+      expect(await vester.depositedAmount(user.address)).to.equal(0);
+      expect(await vester.claimedAmount(user.address)).to.equal(0);
+      expect(await vester.vestingStartTime(user.address)).to.equal(0);
+      expect(await vester.lastClaimTime(user.address)).to.equal(0);
+    });
+
+    it("Should reject deposits too large for the packed amount fields", async function () {
+      const { esMPD, vester, owner, user } = await loadFixture(deployVesterFixture);
+      const tooLarge = 2n ** 96n;
+
+      await esMPD.connect(owner).mint(user.address, tooLarge);
+
+      await expect(vester.connect(user).deposit(tooLarge))
+        .to.be.revertedWithCustomError(vester, "SafeCastOverflowedUintDowncast")
+        .withArgs(96, tooLarge);
+    });
+
+    /**
+     * @notice Deploys a Vester whose MPD cap admits the largest packed deposit
+     */
+    async function deployWithPackedLimitFixture() {
+      const fixture = await loadFixture(deployVesterFixture);
+      const { esMPD, owner } = fixture;
+
+      const MPDToken = await ethers.getContractFactory("MPDToken");
+      const mpdToken = await MPDToken.deploy(owner.address, 2n ** 96n);
+
+      const Vester = await ethers.getContractFactory("Vester");
+      const vester = await Vester.deploy(
+        await mpdToken.getAddress(),
+        await esMPD.getAddress(),
+        VESTING_DURATION,
+        owner.address
+      );
+
+      await mpdToken.setMinter(await vester.getAddress(), true);
+      await esMPD.setMinter(await vester.getAddress(), true);
+
+      return { ...fixture, mpdToken, vester };
+    }
+
+    it("Should vest a deposit at the packed limit without overflow", async function () {
+      const { mpdToken, esMPD, vester, owner, user } = await loadFixture(deployWithPackedLimitFixture);
+      const amount = 2n ** 96n - 1n;
+      const duration = BigInt(VESTING_DURATION);
+      const elapsed = BigInt(HALF_YEAR);
+
+      // The front-loaded curve has the largest intermediate product
+      await vester.connect(owner).setVestingCurve(2);
+      await esMPD.connect(owner).mint(user.address, amount);
+      await vester.connect(user).deposit(amount);
+
+      await time.increase(HALF_YEAR);
+      expect(await vester.claimable(user.address)).to.equal(
+        (amount * elapsed * (2n * duration - elapsed)) / (duration * duration)
+      );
+
+      await time.increase(VESTING_DURATION);
+      await vester.connect(user).claim();
+
+      expect(await mpdToken.balanceOf(user.address)).to.equal(amount);
+      expect(await vester.claimedAmount(user.address)).to.equal(amount);
+    });
+  });
+
+  // ============ Meta-Transaction Tests ============
+
+  describe("Meta-Transactions", function () {
+    const DEPOSIT = ethers.parseEther("100");
+
+    /**
+     * @notice Returns a deadline one hour after the latest block
+     */
+    async function deadlineFromNow() {
+      return BigInt(await time.latest()) + 3600n;
+    }
+
+    /**
+     * @notice Deploys an EIP-1271 wallet controlled by user and funds it with esMPD
+     */
+    async function deployWithContractWalletFixture() {
+      const fixture = await loadFixture(deployWithUserBalanceFixture);
+      const { esMPD, owner, user } = fixture;
+
+      const MockERC1271Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+      const wallet = await MockERC1271Wallet.deploy(user.address);
+      const walletAddress = await wallet.getAddress();
+      await esMPD.connect(owner).mint(walletAddress, DEPOSIT);
+
+      return { ...fixture, wallet, walletAddress };
+    }
+
+    it("Should deposit for a user from a relayed signature", async function () {
+      const { vester, user, user2: relayer } = await loadFixture(deployWithUserBalanceFixture);
+
+      const intent = await signMetaTx(user, vester, "deposit", { amount: DEPOSIT, deadline: await deadlineFromNow() });
+
+      await expect(vester.connect(relayer).depositWithSig(user.address, DEPOSIT, intent.deadline, intent.signature))
+        .to.emit(vester, "Deposited")
+        .withArgs(user.address, DEPOSIT);
+
+      expect(await vester.depositedAmount(user.address)).to.equal(DEPOSIT);
+      expect(await vester.depositedAmount(relayer.address)).to.equal(0);
+      expect(await vester.nonces(user.address)).to.equal(1);
+    });
+
+    it("Should claim to the user from a relayed signature", async function () {
+      const { mpdToken, vester, user, user2: relayer } = await loadFixture(deployWithUserBalanceFixture);
+
+      await vester.connect(user).deposit(DEPOSIT);
+      await time.increase(HALF_YEAR);
+
+      const intent = await signMetaTx(user, vester, "claim", { deadline: await deadlineFromNow() });
+      await expect(vester.connect(relayer).claimWithSig(user.address, intent.deadline, intent.signature))
+        .to.emit(vester, "Claimed");
+
+      expect(await mpdToken.balanceOf(user.address)).to.be.gt(0);
+      expect(await mpdToken.balanceOf(relayer.address)).to.equal(0);
+    });
+
+    it("Should withdraw part or all of a position from relayed signatures", async function () {
+      const { esMPD, vester, user, user2: relayer, userBalance } = await loadFixture(deployWithUserBalanceFixture);
+
+      await vester.connect(user).deposit(DEPOSIT);
+
+      let intent = await signMetaTx(user, vester, "withdraw", { amount: DEPOSIT / 4n, deadline: await deadlineFromNow() });
+      await vester.connect(relayer).withdrawWithSig(user.address, DEPOSIT / 4n, intent.deadline, intent.signature);
+      expect(await vester.depositedAmount(user.address)).to.be.gt(0);
+
+      intent = await signMetaTx(user, vester, "withdraw", { amount: ethers.MaxUint256, deadline: await deadlineFromNow() });
+      await vester.connect(relayer).withdrawWithSig(user.address, ethers.MaxUint256, intent.deadline, intent.signature);
+
+      expect(await vester.depositedAmount(user.address)).to.equal(0);
+      expect(await esMPD.balanceOf(user.address)).to.be.closeTo(userBalance, ethers.parseEther("0.001"));
+      expect(await esMPD.balanceOf(relayer.address)).to.equal(ethers.parseEther("500"));
+    });
+
+    it("Should reject replayed signatures", async function () {
+      const { vester, user, user2: relayer } = await loadFixture(deployWithUserBalanceFixture);
+
+      const intent = await signMetaTx(user, vester, "deposit", { amount: DEPOSIT, deadline: await deadlineFromNow() });
+      await vester.connect(relayer).depositWithSig(user.address, DEPOSIT, intent.deadline, intent.signature);
+
+      await expect(vester.connect(relayer).depositWithSig(user.address, DEPOSIT, intent.deadline, intent.signature))
+        .to.be.revertedWithCustomError(vester, "InvalidSignature");
+    });
+
+    it("Should reject expired signatures", async function () {
+      const { vester, user, user2: relayer } = await loadFixture(deployWithUserBalanceFixture);
+
+      const deadline = BigInt(await time.latest()) + 60n;
+      const intent = await signMetaTx(user, vester, "deposit", { amount: DEPOSIT, deadline });
+      await time.increase(120);
+
+      await expect(vester.connect(relayer).depositWithSig(user.address, DEPOSIT, deadline, intent.signature))
+        .to.be.revertedWithCustomError(vester, "ExpiredSignature")
+        .withArgs(deadline);
+    });
+
+    it("Should reject signatures from another key or for altered terms", async function () {
+      const { vester, user, user2, receiver: relayer } = await loadFixture(deployWithUserBalanceFixture);
+      const deadline = await deadlineFromNow();
+
+      // Signed by user2 on behalf of user
+      const forged = await signMetaTx(user2, vester, "deposit", { user: user.address, amount: DEPOSIT, deadline });
+      await expect(vester.connect(relayer).depositWithSig(user.address, DEPOSIT, deadline, forged.signature))
+        .to.be.revertedWithCustomError(vester, "InvalidSignature");
+
+      // Relayer changes the amount
+      const intent = await signMetaTx(user, vester, "deposit", { amount: DEPOSIT, deadline });
+      await expect(vester.connect(relayer).depositWithSig(user.address, DEPOSIT * 2n, deadline, intent.signature))
+        .to.be.revertedWithCustomError(vester, "InvalidSignature");
+
+      // A claim signature cannot be used as a withdrawal
+      await vester.connect(user).deposit(DEPOSIT);
+      const claim = await signMetaTx(user, vester, "claim", { deadline });
+      await expect(vester.connect(relayer).withdrawWithSig(user.address, 0, deadline, claim.signature))
+        .to.be.revertedWithCustomError(vester, "InvalidSignature");
+    });
+
+    it("Should invalidate signatures made against a spent nonce", async function () {
+      const { vester, user, user2: relayer } = await loadFixture(deployWithUserBalanceFixture);
+      const deadline = await deadlineFromNow();
+
+      // Signed against nonce 0, then nonce 0 is spent by another signed intent
+      const stale = await signMetaTx(user, vester, "deposit", { amount: DEPOSIT, deadline });
+      const other = await signMetaTx(user, vester, "deposit", { amount: DEPOSIT / 2n, deadline });
+      await vester.connect(relayer).depositWithSig(user.address, DEPOSIT / 2n, deadline, other.signature);
+
+      await expect(vester.connect(relayer).depositWithSig(user.address, DEPOSIT, deadline, stale.signature))
+        .to.be.revertedWithCustomError(vester, "InvalidSignature");
+    });
+
+    it("Should respect the deposit pause and position checks", async function () {
+      const { vester, owner, user, user2: relayer } = await loadFixture(deployWithUserBalanceFixture);
+      const deadline = await deadlineFromNow();
+
+      const claim = await signMetaTx(user, vester, "claim", { deadline });
+      await expect(vester.connect(relayer).claimWithSig(user.address, deadline, claim.signature))
+        .to.be.revertedWithCustomError(vester, "NoVestingPosition");
+
+      await vester.connect(owner).pause();
+      const deposit = await signMetaTx(user, vester, "deposit", { amount: DEPOSIT, deadline });
+      await expect(vester.connect(relayer).depositWithSig(user.address, DEPOSIT, deadline, deposit.signature))
+        .to.be.revertedWithCustomError(vester, "EnforcedPause");
+    });
+
+    it("Should accept EIP-1271 signatures from contract wallets", async function () {
+      const { mpdToken, vester, user, user2: relayer, walletAddress } = await loadFixture(deployWithContractWalletFixture);
+
+      let intent = await signMetaTx(user, vester, "deposit", {
+        user: walletAddress,
+        amount: DEPOSIT,
+        deadline: await deadlineFromNow(),
+      });
+      await vester.connect(relayer).depositWithSig(walletAddress, DEPOSIT, intent.deadline, intent.signature);
+      expect(await vester.depositedAmount(walletAddress)).to.equal(DEPOSIT);
+
+      await time.increase(HALF_YEAR);
+      intent = await signMetaTx(user, vester, "claim", { user: walletAddress, deadline: await deadlineFromNow() });
+      await vester.connect(relayer).claimWithSig(walletAddress, intent.deadline, intent.signature);
+      expect(await mpdToken.balanceOf(walletAddress)).to.be.gt(0);
+    });
+
+    it("Should reject contract wallet signatures from keys the wallet does not accept", async function () {
+      const { vester, user2, receiver: relayer, walletAddress } = await loadFixture(deployWithContractWalletFixture);
+
+      const intent = await signMetaTx(user2, vester, "deposit", {
+        user: walletAddress,
+        amount: DEPOSIT,
+        deadline: await deadlineFromNow(),
+      });
+      await expect(vester.connect(relayer).depositWithSig(walletAddress, DEPOSIT, intent.deadline, intent.signature))
+        .to.be.revertedWithCustomError(vester, "InvalidSignature");
+    });
+
+    it("Should build typed data matching the contract typehashes", async function () {
+      const { vester } = await loadFixture(deployVesterFixture);
+      const fields = { chainId: 31337n, verifyingContract: await vester.getAddress(), user: ethers.ZeroAddress, amount: 0n, nonce: 0n, deadline: 0n };
+
+      const typehash = (types) => ethers.id(ethers.TypedDataEncoder.from(types).encodeType(Object.keys(types)[0]));
+
+      expect(typehash(buildMetaTxTypedData({ action: "deposit", ...fields }).types)).to.equal(await vester.DEPOSIT_TYPEHASH());
+      expect(typehash(buildMetaTxTypedData({ action: "claim", ...fields }).types)).to.equal(await vester.CLAIM_TYPEHASH());
+      expect(typehash(buildMetaTxTypedData({ action: "withdraw", ...fields }).types)).to.equal(await vester.WITHDRAW_TYPEHASH());
+      expect(() => buildMetaTxTypedData({ action: "stake", ...fields })).to.throw("Unknown Vester action");
+    });
+  });
 });
 
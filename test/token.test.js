@@ -9,6 +9,10 @@ const { ethers } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 
 describe("MPD Token Suite", function () {
+
+  // ============ Constants ============
+
+  const MAX_SUPPLY = ethers.parseEther("100000000"); // 100M MPD
   
   // ============ Fixtures ============
 
@@ -17,7 +21,7 @@ describe("MPD Token Suite", function () {
 
     // Deploy MPDToken
     const MPDToken = await ethers.getContractFactory("MPDToken");
-    const mpdToken = await MPDToken.deploy(owner.address);
+    const mpdToken = await MPDToken.deploy(owner.address, MAX_SUPPLY);
 
     // Deploy EsMPD
     const EsMPD = await ethers.getContractFactory("EsMPD");
@@ -58,48 +62,55 @@ describe("MPD Token Suite", function () {
     });
 
     describe("Minting", function () {
-      it("Should allow owner to mint tokens", async function () {
-        const { mpdToken, owner, user1 } = await loadFixture(deployTokensFixture);
+      it("Should allow minter to mint tokens", async function () {
+        const { mpdToken, owner, minter, user1 } = await loadFixture(deployTokensFixture);
         const mintAmount = ethers.parseEther("1000");
 
-        await expect(mpdToken.mint(user1.address, mintAmount))
+        await mpdToken.setMinter(minter.address, true);
+
+        await expect(mpdToken.connect(minter).mint(user1.address, mintAmount))
           .to.emit(mpdToken, "TokensMinted")
           .withArgs(user1.address, mintAmount);
 
         expect(await mpdToken.balanceOf(user1.address)).to.equal(mintAmount);
       });
 
-      it("Should reject minting from non-owner", async function () {
+      it("Should reject minting from non-minter", async function () {
         const { mpdToken, user1, user2 } = await loadFixture(deployTokensFixture);
         const mintAmount = ethers.parseEther("1000");
 
         await expect(mpdToken.connect(user1).mint(user2.address, mintAmount))
-          .to.be.revertedWithCustomError(mpdToken, "OwnableUnauthorizedAccount");
+          .to.be.revertedWith("MPDToken: caller is not a minter");
       });
 
       it("Should reject minting to zero address", async function () {
-        const { mpdToken } = await loadFixture(deployTokensFixture);
+        const { mpdToken, minter } = await loadFixture(deployTokensFixture);
         const mintAmount = ethers.parseEther("1000");
 
-        await expect(mpdToken.mint(ethers.ZeroAddress, mintAmount))
+        await mpdToken.setMinter(minter.address, true);
+
+        await expect(mpdToken.connect(minter).mint(ethers.ZeroAddress, mintAmount))
           .to.be.revertedWith("MPDToken: mint to zero address");
       });
 
       it("Should reject minting zero amount", async function () {
-        const { mpdToken, user1 } = await loadFixture(deployTokensFixture);
+        const { mpdToken, minter, user1 } = await loadFixture(deployTokensFixture);
+
+        await mpdToken.setMinter(minter.address, true);
 
-        await expect(mpdToken.mint(user1.address, 0))
+        await expect(mpdToken.connect(minter).mint(user1.address, 0))
           .to.be.revertedWith("MPDToken: mint amount must be greater than zero");
       });
     });
 
     describe("Transfers", function () {
       it("Should allow token transfers", async function () {
-        const { mpdToken, owner, user1, user2 } = await loadFixture(deployTokensFixture);
+        const { mpdToken, owner, minter, user1, user2 } = await loadFixture(deployTokensFixture);
         const mintAmount = ethers.parseEther("1000");
         const transferAmount = ethers.parseEther("100");
 
-        await mpdToken.mint(user1.address, mintAmount);
+        await mpdToken.setMinter(minter.address, true);
+        await mpdToken.connect(minter).mint(user1.address, mintAmount);
         await mpdToken.connect(user1).transfer(user2.address, transferAmount);
 
         expect(await mpdToken.balanceOf(user2.address)).to.equal(transferAmount);